@@ -0,0 +1,44 @@
+// config/derivatives.js
+// Responsive image sizes exposed on every image (see services/derivatives.js).
+//
+//   IMAGE_DERIVATIVE_PRESETS  name:width pairs (default: thumb:320,medium:800,large:1600)
+//   IMAGE_DERIVATIVE_FORMATS  formats offered besides the original (default: webp,avif)
+//
+// Cloudinary builds derivatives on request from the URL, so presets can change at
+// any time. The local driver renders them at upload time, so images uploaded
+// before a preset was added don't have it.
+
+const SUPPORTED_FORMATS = ['webp', 'avif'];
+
+function parsePresets(value) {
+  const presets = String(value || 'thumb:320,medium:800,large:1600')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [name, width] = pair.split(':').map((s) => s.trim());
+      const px = parseInt(width, 10);
+      if (!/^[a-z][a-z0-9_-]*$/i.test(name || '') || !(px > 0)) {
+        throw new Error(`Invalid IMAGE_DERIVATIVE_PRESETS entry "${pair}" (expected name:width)`);
+      }
+      return { name, width: px };
+    });
+  return presets.sort((a, b) => a.width - b.width);
+}
+
+function parseFormats(value) {
+  const formats = String(value === undefined ? 'webp,avif' : value)
+    .split(',')
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.filter((f) => !SUPPORTED_FORMATS.includes(f));
+  if (unknown.length) {
+    throw new Error(`Unknown IMAGE_DERIVATIVE_FORMATS: ${unknown.join(', ')} (expected some of: ${SUPPORTED_FORMATS.join(', ')})`);
+  }
+  return formats;
+}
+
+const PRESETS = parsePresets(process.env.IMAGE_DERIVATIVE_PRESETS);
+const FORMATS = parseFormats(process.env.IMAGE_DERIVATIVE_FORMATS);
+
+module.exports = { PRESETS, FORMATS, SUPPORTED_FORMATS };
@@ -0,0 +1,57 @@
+// config/roles.js
+// Admin roles and the permissions each one grants.
+//
+//   superadmin  everything, including managing other admins and reading the audit log
+//   editor      folders, media and the trash
+//   moderator   feedback
+//   viewer      read-only access to folders, media and feedback
+//
+// 'admin' is the role every account had before roles were introduced; it is
+// kept as an alias of superadmin so existing accounts keep working.
+
+const PERMISSIONS = {
+  FOLDERS_READ: 'folders:read',
+  FOLDERS_WRITE: 'folders:write',
+  MEDIA_READ: 'media:read',
+  MEDIA_WRITE: 'media:write',
+  TRASH_MANAGE: 'trash:manage',
+  FEEDBACK_READ: 'feedback:read',
+  FEEDBACK_MANAGE: 'feedback:manage',
+  ADMINS_MANAGE: 'admins:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+const ALL = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  superadmin: ALL,
+  admin: ALL,
+  editor: [
+    PERMISSIONS.FOLDERS_READ,
+    PERMISSIONS.FOLDERS_WRITE,
+    PERMISSIONS.MEDIA_READ,
+    PERMISSIONS.MEDIA_WRITE,
+    PERMISSIONS.TRASH_MANAGE,
+  ],
+  moderator: [
+    PERMISSIONS.FEEDBACK_READ,
+    PERMISSIONS.FEEDBACK_MANAGE,
+  ],
+  viewer: [
+    PERMISSIONS.FOLDERS_READ,
+    PERMISSIONS.MEDIA_READ,
+    PERMISSIONS.FEEDBACK_READ,
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// roles with full access (used e.g. to protect the last superadmin)
+const TOP_LEVEL_ROLES = ['superadmin', 'admin'];
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role];
+  return Boolean(granted && granted.includes(permission));
+}
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, TOP_LEVEL_ROLES, hasPermission };
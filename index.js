@@ -9,9 +9,27 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const folderRoutes = require('./routes/folder');
 const uploadRoutes = require('./routes/upload');
+const uploadSessionRoutes = require('./routes/uploadSessions');
+const uploadJobRoutes = require('./routes/uploadJobs');
 const feedbackRouter = require('./routes/feedback');
+const trashRoutes = require('./routes/trash');
+const tagRoutes = require('./routes/tags');
+const searchRoutes = require('./routes/search');
+const auditRoutes = require('./routes/audit');
+const storage = require('./services/storage');
+const Folder = require('./models/folder');
+const uploadSessions = require('./services/uploadSessions');
+const uploadQueue = require('./services/uploadQueue');
 
 const app = express();
+
+// behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the real client IP for rate limiting
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    if (/^\d+$/.test(trustProxy)) app.set('trust proxy', parseInt(trustProxy, 10));
+    else app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+}
+
 app.use(cors({
     origin: "*"
 }));
@@ -24,15 +42,33 @@ mongoose.connect(process.env.MONGO_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
 })
-    .then(() => console.log('MongoDB connected'))
+    .then(async () => {
+        console.log('MongoDB connected');
+        const backfilled = await Folder.ensureSlugs();
+        if (backfilled) console.log(`Generated slugs for ${backfilled} folder(s)`);
+        uploadSessions.startCleanup();
+        uploadQueue.startWorker();
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 
+// serve uploaded media from disk when using the local storage driver
+if (storage.name === 'local') {
+    app.use(storage.publicPath, express.static(storage.root));
+}
+
+
 // routes
 app.use('/api/auth', authRoutes);
 app.use('/api/folders', folderRoutes);
+app.use('/api/upload/sessions', uploadSessionRoutes);
+app.use('/api/upload/jobs', uploadJobRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/feedback', feedbackRouter);
+app.use('/api/trash', trashRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/audit', auditRoutes);
 
 
 const PORT = process.env.PORT || 5001;
@@ -1,20 +1,77 @@
 
 const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const { hasPermission } = require('../config/roles');
+const { isSessionActive } = require('../services/sessions');
 
 
-function auth(req, res, next) {
-    const token = req.headers.authorization && req.headers.authorization.split(' ')[1];
-    if (!token) return res.status(401).json({ message: 'No token provided' });
+// resolve the admin behind a decoded token; null if it no longer exists
+async function loadAdmin(decoded) {
+    if (decoded.id) return Admin.findById(decoded.id).exec();
 
+    if (decoded.email) {
+        const admin = await Admin.findOne({ email: decoded.email.toLowerCase().trim() }).exec();
+        if (admin) return admin;
+
+        // ephemeral env-admin tokens (bootstrap flow), only if explicitly flagged
+        if (decoded.isEnvAdmin) {
+            return { email: decoded.email, role: decoded.role || 'admin', isEnvAdmin: true };
+        }
+    }
+
+    return null;
+}
+
+
+/**
+ * Builds a middleware that verifies the bearer token, reloads the admin from the
+ * DB into req.currentAdmin (so deleted admins and role changes take effect on the
+ * next request) and requires the admin's role to grant every given permission.
+ * With no permissions it only authenticates.
+ */
+function authorize(...permissions) {
+    return async function (req, res, next) {
+        const token = req.headers.authorization && req.headers.authorization.split(' ')[1];
+        if (!token) return res.status(401).json({ message: 'No token provided' });
+
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (err) {
+            return res.status(401).json({ message: 'Invalid token' });
+        }
+
+
+        let admin;
+        let sessionActive = true;
+        try {
+            admin = await loadAdmin(decoded);
+            // tokens issued for a session (sid) die with it on logout / reuse detection
+            if (admin && decoded.sid) sessionActive = await isSessionActive(decoded.sid);
+        } catch (err) {
+            console.error('DB lookup error in auth middleware:', err);
+            return res.status(500).json({ message: 'Server error during authentication' });
+        }
+        if (!admin) return res.status(401).json({ message: 'Invalid token: admin not found' });
+        if (!sessionActive || (!admin.isEnvAdmin && (decoded.tv || 0) !== (admin.tokenVersion || 0))) {
+            return res.status(401).json({ message: 'Session expired, please log in again' });
+        }
+
+
+        const missing = permissions.filter(p => !hasPermission(admin.role, p));
+        if (missing.length) {
+            return res.status(403).json({ message: 'Forbidden: insufficient permissions', required: missing });
+        }
 
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         req.user = decoded;
+        req.currentAdmin = admin;
         next();
-    } catch (err) {
-        return res.status(401).json({ message: 'Invalid token' });
-    }
+    };
 }
 
 
-module.exports = auth;
\ No newline at end of file
+const auth = authorize();
+auth.authorize = authorize;
+
+module.exports = auth;
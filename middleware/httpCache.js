@@ -0,0 +1,78 @@
+
+const crypto = require('crypto');
+const responseCache = require('../services/responseCache');
+
+
+const MAX_AGE = parseInt(process.env.HTTP_CACHE_MAX_AGE || '60', 10);
+const S_MAX_AGE = process.env.HTTP_CACHE_S_MAXAGE;
+
+
+function cacheControl() {
+    let value = `public, max-age=${MAX_AGE}`;
+    if (S_MAX_AGE !== undefined && S_MAX_AGE !== '') value += `, s-maxage=${parseInt(S_MAX_AGE, 10)}`;
+    return value;
+}
+
+
+/**
+ * For public GET endpoints: serves JSON responses from the response cache and adds
+ * ETag, Last-Modified and Cache-Control headers. Express answers 304 by itself
+ * when If-None-Match / If-Modified-Since match (see res.send / req.fresh).
+ */
+function cachePublic(req, res, next) {
+    const key = `${req.method}:${req.originalUrl}`;
+
+    const send = (entry, cacheStatus) => {
+        res.set('Cache-Control', cacheControl());
+        res.set('ETag', entry.etag);
+        res.set('Last-Modified', entry.lastModified);
+        res.set('X-Cache', cacheStatus);
+        return res.status(200).type('application/json').send(entry.body);
+    };
+
+    responseCache.get(key)
+        .then(entry => {
+            if (entry) return send(entry, 'HIT');
+
+            const json = res.json.bind(res);
+            res.json = function (data) {
+                if (res.statusCode !== 200) return json(data);
+
+                const body = JSON.stringify(data);
+                const entry = {
+                    body,
+                    etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+                    lastModified: new Date().toUTCString(),
+                };
+                responseCache.set(key, entry).catch(err => console.error('Response cache set error:', err.message));
+                return send(entry, 'MISS');
+            };
+            next();
+        })
+        .catch(err => {
+            // a broken cache must not take the public site down
+            console.error('Response cache get error:', err.message);
+            next();
+        });
+}
+
+
+/**
+ * For routers that change public content: any successful non-GET request clears
+ * the response cache before its response goes out.
+ */
+function invalidateOnWrite(req, res, next) {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+
+    const send = res.send.bind(res);
+    res.send = function (body) {
+        if (res.statusCode < 400) {
+            responseCache.invalidate().catch(err => console.error('Response cache invalidate error:', err.message));
+        }
+        return send(body);
+    };
+    next();
+}
+
+
+module.exports = { cachePublic, invalidateOnWrite };
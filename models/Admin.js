@@ -1,10 +1,50 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
 
 const AdminSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   passwordHash: { type: String, required: true },
-  role: { type: String, default: 'admin' }, 
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  // sha256 of the emailed reset token; the raw token is never stored
+  resetPasswordToken: { type: String, index: true },
+  resetPasswordExpires: { type: Date },
+  // bumped to invalidate every token issued before (e.g. after a password reset)
+  tokenVersion: { type: Number, default: 0 },
+  // login lockout: failures since the last success/lock, number of locks so far, lock expiry
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockCount: { type: Number, default: 0 },
+  lockUntil: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now }
 });
 
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '1', 10);
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440', 10);
+
+// milliseconds left on the current lock (0 when not locked)
+AdminSchema.methods.lockRemainingMs = function () {
+  if (!this.lockUntil) return 0;
+  return Math.max(this.lockUntil.getTime() - Date.now(), 0);
+};
+
+// record a failed login; every LOCKOUT_THRESHOLD failures lock the account, each lock twice as long as the last
+AdminSchema.methods.registerFailedLogin = async function () {
+  this.failedLoginAttempts += 1;
+  if (this.failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+    const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** this.lockCount, LOCKOUT_MAX_MINUTES);
+    this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+    this.lockCount += 1;
+    this.failedLoginAttempts = 0;
+  }
+  await this.save();
+};
+
+AdminSchema.methods.clearLockout = async function () {
+  if (!this.failedLoginAttempts && !this.lockCount && !this.lockUntil) return;
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = null;
+  await this.save();
+};
+
 module.exports = mongoose.model('Admin', AdminSchema);
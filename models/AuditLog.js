@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['folder', 'media', 'feedback', 'admin', 'tag'];
+
+// One admin action (see services/audit.js). Entries are append-only: updates
+// and deletes are refused; old entries expire through expiresAt.
+const AuditLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  action: { type: String, required: true }, // e.g. 'folder.update', 'auth.login_failed'
+  // who did it; null fields for unauthenticated requests (failed logins, password resets)
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+    email: { type: String, lowercase: true, default: null },
+    role: { type: String, default: null },
+  },
+  target: {
+    type: { type: String, enum: TARGET_TYPES },
+    id: { type: String }, // _id (or tag name) of the affected record
+    label: { type: String }, // human-readable name at the time: folder name, public_id, email, ...
+  },
+  // changed fields: { <field>: { before, after } } (before is null on create, after on delete)
+  changes: { type: mongoose.Schema.Types.Mixed },
+  meta: { type: mongoose.Schema.Types.Mixed }, // anything else worth keeping, e.g. bulk results
+  ip: { type: String },
+  userAgent: { type: String },
+  expiresAt: { type: Date, default: null }, // null: kept forever
+});
+
+AuditLogSchema.index({ at: -1, _id: -1 });
+AuditLogSchema.index({ 'actor.email': 1, at: -1 });
+AuditLogSchema.index({ action: 1, at: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, at: -1 });
+AuditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function appendOnly() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+}
+
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+for (const op of ['updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteMany', 'findOneAndDelete']) {
+  AuditLogSchema.pre(op, appendOnly);
+}
+AuditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: true }, appendOnly);
+
+AuditLogSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
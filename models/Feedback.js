@@ -1,6 +1,23 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+// status lifecycle: new -> read -> in-progress -> resolved -> archived,
+// with the backwards moves moderators need (mark unread, reopen, unarchive)
+const STATUSES = ['new', 'read', 'in-progress', 'resolved', 'archived'];
+const TRANSITIONS = {
+  new: ['read', 'in-progress', 'resolved', 'archived'],
+  read: ['new', 'in-progress', 'resolved', 'archived'],
+  'in-progress': ['read', 'resolved', 'archived'],
+  resolved: ['in-progress', 'archived'],
+  archived: ['read']
+};
+
+const noteSchema = new Schema({
+  author: { type: Schema.Types.ObjectId, ref: 'Admin' },
+  authorEmail: { type: String },
+  text: { type: String, required: [true, 'Note text is required'], trim: true, maxlength: 2000 }
+}, { timestamps: true });
+
 const feedbackSchema = new Schema({
   name: {
     type: String,
@@ -23,7 +40,43 @@ const feedbackSchema = new Schema({
     required: [true, 'Message is required'],
     trim: true,
     maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'new',
+    index: true
+  },
+  statusChangedAt: { type: Date },
+  assignedTo: { type: Schema.Types.ObjectId, ref: 'Admin', default: null, index: true },
+  notes: [noteSchema], // internal, never shown to the sender
+  // submission metadata used by the spam filter (services/spam)
+  ip: { type: String },
+  userAgent: { type: String },
+  messageHash: { type: String },
+  spam: {
+    flagged: { type: Boolean, default: false, index: true },
+    reasons: [{ type: String }],
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date }
   }
 }, { timestamps: true });
 
+// full-text search over sender and message; stable listing order for cursor pagination
+feedbackSchema.index({ name: 'text', email: 'text', message: 'text' }, { weights: { name: 5, email: 5, message: 1 } });
+feedbackSchema.index({ createdAt: -1, _id: -1 });
+feedbackSchema.index({ messageHash: 1, createdAt: -1 });
+
+feedbackSchema.statics.STATUSES = STATUSES;
+feedbackSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// statuses from which `to` can be reached
+feedbackSchema.statics.sourcesFor = function (to) {
+  return STATUSES.filter(from => TRANSITIONS[from].includes(to));
+};
+
+feedbackSchema.methods.canTransitionTo = function (to) {
+  return this.status === to || TRANSITIONS[this.status].includes(to);
+};
+
 module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+const { derivativesFor, dimensionsOf } = require("../services/derivatives");
+
+// One image or video in a folder. Media used to be embedded in Folder.images /
+// Folder.videos; see services/media.js for the migration. Migrated items keep
+// their original _id.
+const MediaSchema = new mongoose.Schema({
+  folder: { type: mongoose.Schema.Types.ObjectId, ref: "Folder", required: true },
+  type: { type: String, enum: ["image", "video"], required: true },
+  url: { type: String, required: true },
+  public_id: { type: String }, // storage id, see models/folder.js for what it means per driver
+  label: { type: String }, // images only
+  title: { type: String }, // videos only
+  position: { type: Number, default: 0 }, // manual order within the folder (per type)
+  sha256: { type: String }, // hex digest of the uploaded file, for duplicate detection
+  tags: { type: [String], default: undefined }, // normalised, see services/tags.js
+  // whatever the storage driver reported at upload time
+  metadata: {
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+    format: { type: String },
+    duration: { type: Number }, // seconds, videos only
+    derivatives: { type: Boolean }, // local driver: resized versions were rendered at upload
+  },
+  deletedAt: { type: Date, default: null }, // set when moved to trash
+  createdAt: { type: Date, default: Date.now },
+}, { timestamps: { createdAt: false, updatedAt: true } });
+
+// folder listings: active items of one type in manual order
+MediaSchema.index({ folder: 1, deletedAt: 1, type: 1, position: 1, _id: 1 });
+MediaSchema.index({ public_id: 1 });
+MediaSchema.index({ sha256: 1, folder: 1 });
+MediaSchema.index({ tags: 1 });
+// search results, newest first
+MediaSchema.index({ deletedAt: 1, createdAt: -1, _id: -1 });
+MediaSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
+// the shape embedded media had in API responses (images carry label, videos title),
+// plus dimensions and, for images, responsive derivatives when available
+MediaSchema.methods.toLegacyJSON = function () {
+  const out = { _id: this._id, url: this.url, public_id: this.public_id };
+  if (this.type === "image" && this.label !== undefined) out.label = this.label;
+  if (this.type === "video" && this.title !== undefined) out.title = this.title;
+  if (this.tags && this.tags.length) out.tags = this.tags;
+  Object.assign(out, dimensionsOf(this));
+  const derivatives = derivativesFor(this);
+  if (derivatives) out.derivatives = derivatives;
+  if (this.deletedAt) out.deletedAt = this.deletedAt;
+  out.createdAt = this.createdAt;
+  return out;
+};
+
+module.exports = mongoose.model("Media", MediaSchema);
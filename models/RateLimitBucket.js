@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Counter used by the mongo rate-limit store (services/rateLimit/mongoStore.js)
+const RateLimitBucketSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One row per issued refresh token. Tokens issued by rotating one another share
+// a `family` (one family = one login session on one device).
+const RefreshTokenSchema = new mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true }, // sha256 of the raw token
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: String }, // tokenHash of the token this one was rotated into
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// expired tokens are removed by MongoDB; revoked ones are kept until then for reuse detection
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
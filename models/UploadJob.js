@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One file of an upload job. Its bytes wait in tempPath until uploaded.
+const UploadJobItemSchema = new mongoose.Schema({
+  file: { type: String, required: true }, // original file name
+  type: { type: String, enum: ['image', 'video'], required: true },
+  label: { type: String }, // images only
+  title: { type: String }, // videos only
+  position: { type: Number }, // reserved when the job was accepted
+  tempPath: { type: String },
+  sha256: { type: String }, // hashed when the job was accepted
+  status: { type: String, enum: ['queued', 'uploading', 'uploaded', 'failed'], default: 'queued' },
+  error: { type: String },
+  attempts: { type: Number, default: 0 },
+  media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media' }, // the created item once uploaded
+});
+
+// A batch of files accepted for background upload (see services/uploadQueue.js).
+const UploadJobSchema = new mongoose.Schema({
+  folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', required: true },
+  createdBy: { type: String, required: true }, // email of the admin who submitted it
+  // completed: every item uploaded; failed: some items failed (they can be retried)
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+  items: [UploadJobItemSchema],
+  lockedBy: { type: String, default: null }, // worker currently processing the job
+  lockedAt: { type: Date, default: null }, // refreshed while processing; stale locks are taken over
+  finishedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+}, { timestamps: { createdAt: false, updatedAt: true } });
+
+UploadJobSchema.index({ status: 1, createdAt: 1 });
+UploadJobSchema.index({ finishedAt: 1 });
+
+module.exports = mongoose.model('UploadJob', UploadJobSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress (see services/uploadSessions.js). The bytes
+// received so far live in a temp file; `offset` is how many of them are stored.
+const UploadSessionSchema = new mongoose.Schema({
+  folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', required: true },
+  type: { type: String, enum: ['image', 'video'], required: true },
+  fileName: { type: String, required: true }, // original name, used for the stored extension
+  mimeType: { type: String },
+  size: { type: Number, required: true }, // total bytes the client announced
+  offset: { type: Number, default: 0 },
+  writingSince: { type: Date, default: null }, // set while a chunk is being written (one at a time)
+  label: { type: String }, // images only
+  title: { type: String }, // videos only
+  tempPath: { type: String, required: true },
+  status: { type: String, enum: ['open', 'finalizing'], default: 'open' },
+  createdBy: { type: String, required: true }, // email of the admin who started it
+  expiresAt: { type: Date, required: true }, // pushed back on every chunk
+  createdAt: { type: Date, default: Date.now }
+});
+
+UploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', UploadSessionSchema);
@@ -1,9 +1,18 @@
 const mongoose = require("mongoose");
 
+// url/public_id come from the configured storage driver (services/storage):
+// for Cloudinary they are the secure_url and Cloudinary public_id, for the
+// local driver public_id is the path under the media root and url points at
+// the static media route.
+
+// Media now lives in its own collection (models/Media.js). These embedded
+// schemas only describe what older versions stored, until services/media.js
+// has migrated it.
 const ImageSchema = new mongoose.Schema({
   url: { type: String, required: true },
   label: { type: String },
   public_id: { type: String },
+  deletedAt: { type: Date, default: null }, // set when moved to trash
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -11,14 +20,196 @@ const VideoSchema = new mongoose.Schema({
   url: { type: String, required: true },
   title: { type: String }, // optional metadata field for videos
   public_id: { type: String },
+  deletedAt: { type: Date, default: null }, // set when moved to trash
   createdAt: { type: Date, default: Date.now },
 });
 
 const FolderSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  images: [ImageSchema],
-  videos: [VideoSchema],
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Folder", default: null }, // null = top level
+  slug: { type: String, trim: true }, // public URL key, unique across all folders
+  description: { type: String, trim: true, maxlength: 5000 },
+  // draft: admins only; unlisted: reachable by direct link but not listed; published: listed.
+  // Folders created before this field existed are treated as published.
+  visibility: { type: String, enum: ["draft", "published", "unlisted"], default: "published" },
+  publishAt: { type: Date, default: null }, // not public before this time
+  unpublishAt: { type: Date, default: null }, // not public from this time on
+  coverImage: { type: String, default: null }, // public_id of one of this folder's images
+  tags: { type: [String], default: undefined }, // normalised, see services/tags.js
+  order: { type: Number, default: 0 }, // manual position among siblings (see services/folderOrder.js)
+  images: { type: [ImageSchema], default: undefined }, // legacy, see above
+  videos: { type: [VideoSchema], default: undefined }, // legacy, see above
+  deletedAt: { type: Date, default: null }, // set when moved to trash
   createdAt: { type: Date, default: Date.now },
+}, { timestamps: { createdAt: false, updatedAt: true } });
+
+// names are unique among siblings only
+FolderSchema.index({ parent: 1, name: 1 }, { unique: true });
+FolderSchema.index({ parent: 1, order: 1, createdAt: 1 });
+
+FolderSchema.index({ slug: 1 }, { unique: true, sparse: true });
+FolderSchema.index({ tags: 1 });
+
+// hide the legacy media arrays from API output; media comes from services/media.js
+FolderSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.images;
+    delete ret.videos;
+    return ret;
+  },
 });
 
+// guards ancestor walks against corrupted (cyclic) data
+const MAX_DEPTH = 32;
+
+// Folder.find().notDeleted() -> excludes folders sitting in the trash
+FolderSchema.query.notDeleted = function () {
+  return this.where({ deletedAt: null });
+};
+
+// public visibility, honouring the publishAt/unpublishAt schedule
+function scheduleFilter(now) {
+  return {
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+    ],
+  };
+}
+
+// Folder.find().publiclyListed() -> what public listings may show
+FolderSchema.query.publiclyListed = function (now = new Date()) {
+  return this.where({ visibility: { $in: ["published", null] }, ...scheduleFilter(now) });
+};
+
+// Folder.find().publiclyAccessible() -> what may be opened by id/slug (listed + unlisted)
+FolderSchema.query.publiclyAccessible = function (now = new Date()) {
+  return this.where({ visibility: { $in: ["published", "unlisted", null] }, ...scheduleFilter(now) });
+};
+
+FolderSchema.methods.isPubliclyAccessible = function (now = new Date()) {
+  if (this.deletedAt || this.visibility === "draft") return false;
+  if (this.publishAt && this.publishAt > now) return false;
+  if (this.unpublishAt && this.unpublishAt <= now) return false;
+  return true;
+};
+
+// accessible itself and every folder above it is too (a draft parent hides its subfolders)
+FolderSchema.methods.isPubliclyReachable = async function (now = new Date()) {
+  if (!this.isPubliclyAccessible(now)) return false;
+  const ancestors = await this.ancestors();
+  return ancestors.every((a) => a.isPubliclyAccessible(now));
+};
+
+// "Festivals 2025!" -> "festivals-2025"; keeps non-Latin letters (e.g. Malayalam)
+function slugify(text) {
+  return String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+const SLUG_PATTERN = /^[\p{L}\p{M}\p{N}]+(?:-[\p{L}\p{M}\p{N}]+)*$/u;
+FolderSchema.statics.SLUG_PATTERN = SLUG_PATTERN;
+
+// first free slug based on `text`: festivals-2025, festivals-2025-2, ...
+FolderSchema.statics.uniqueSlug = async function (text, exceptId) {
+  const base = slugify(text) || "folder";
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    const filter = { slug: candidate };
+    if (exceptId) filter._id = { $ne: exceptId };
+    if (!(await this.exists(filter))) return candidate;
+  }
+};
+
+FolderSchema.pre("validate", async function () {
+  if (!this.slug) this.slug = await this.constructor.uniqueSlug(this.name, this._id);
+});
+
+// give folders created before slugs existed one (run at startup; cheap when nothing is missing)
+FolderSchema.statics.ensureSlugs = async function () {
+  const missing = await this.find({ $or: [{ slug: null }, { slug: "" }] });
+  for (const folder of missing) {
+    folder.slug = await this.uniqueSlug(folder.name, folder._id);
+    await folder.save();
+  }
+  return missing.length;
+};
+
+// ancestors from the top-level folder down to the direct parent
+FolderSchema.methods.ancestors = async function () {
+  const Folder = this.constructor;
+  const chain = [];
+  let parentId = this.parent;
+  while (parentId && chain.length < MAX_DEPTH) {
+    const parent = await Folder.findById(parentId).select("name slug parent deletedAt visibility publishAt unpublishAt");
+    if (!parent) break;
+    chain.unshift(parent);
+    parentId = parent.parent;
+  }
+  return chain;
+};
+
+// storage folder for new uploads, following the hierarchy: koovappady/Festivals/2025/Day 1
+FolderSchema.methods.storagePath = async function () {
+  const names = [...(await this.ancestors()).map((a) => a.name), this.name];
+  return `koovappady/${names.join("/")}`;
+};
+
+// ids of every folder below this one (any depth, trashed or not)
+FolderSchema.methods.descendantIds = async function () {
+  const Folder = this.constructor;
+  const ids = [];
+  let frontier = [this._id];
+  for (let depth = 0; frontier.length && depth < MAX_DEPTH; depth++) {
+    const children = await Folder.find({ parent: { $in: frontier } }).select("_id").lean();
+    frontier = children.map((c) => c._id);
+    ids.push(...frontier);
+  }
+  return ids;
+};
+
+// keep only folders whose whole parent chain is in the list (e.g. drop children of trashed folders)
+FolderSchema.statics.reachable = function (folders) {
+  const byId = new Map(folders.map((f) => [String(f._id), f]));
+  const memo = new Map();
+  const ok = (f, depth = 0) => {
+    const key = String(f._id);
+    if (memo.has(key)) return memo.get(key);
+    let result;
+    if (!f.parent) result = true;
+    else if (depth >= MAX_DEPTH || !byId.has(String(f.parent))) result = false;
+    else result = ok(byId.get(String(f.parent)), depth + 1);
+    memo.set(key, result);
+    return result;
+  };
+  return folders.filter((f) => ok(f));
+};
+
+// nest a flat list into [{ ...node, children: [...] }]; `toNode` maps each folder
+FolderSchema.statics.buildTree = function (folders, toNode = (f) => f) {
+  const nodes = new Map(folders.map((f) => [String(f._id), { ...toNode(f), children: [] }]));
+  const roots = [];
+  for (const f of folders) {
+    const node = nodes.get(String(f._id));
+    const parent = f.parent && nodes.get(String(f.parent));
+    if (parent) parent.children.push(node);
+    else if (!f.parent) roots.push(node);
+  }
+  return roots;
+};
+
+// a folder the public may open, by id or slug (null if missing, draft, out of schedule or under a hidden parent)
+FolderSchema.statics.findPublic = async function (idOrSlug) {
+  const lookup = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: String(idOrSlug).normalize("NFKC").toLowerCase() };
+  const folder = await this.findOne(lookup).notDeleted().publiclyAccessible();
+  if (!folder || !(await folder.isPubliclyReachable())) return null;
+  return folder;
+};
+
 module.exports = mongoose.model("Folder", FolderSchema);
@@ -0,0 +1,49 @@
+// routes/audit.js
+// Read access to the audit log (services/audit.js), mounted at /api/audit.
+// Needs the audit:read permission, i.e. superadmin (or the legacy 'admin' alias, see config/roles.js).
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { buildAuditFilter, encodeCursor, cursorFilter } = require('../services/audit');
+
+router.use(authorize(PERMISSIONS.AUDIT_READ));
+
+/**
+ * List entries, newest first -> GET /api/audit
+ * Query params:
+ * - actor, action, targetType, targetId, ip, from, to: filters (see services/audit.js)
+ * - limit: page size (default 50, max 500)
+ * - cursor: nextCursor from the previous page
+ * Response: { items, total, nextCursor }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 500);
+
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const after = cursorFilter(req.query.cursor);
+      if (!after) return res.status(400).json({ message: 'Invalid cursor' });
+      pageFilter = { $and: [filter, after] };
+    }
+
+    const [items, total] = await Promise.all([
+      AuditLog.find(pageFilter).sort({ at: -1, _id: -1 }).limit(limit + 1).select('-__v').lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    return res.json({ items, total, nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null });
+  } catch (err) {
+    console.error('Audit log GET error:', err);
+    return res.status(500).json({ message: 'Could not fetch audit log', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,75 +1,44 @@
 // routes/auth.js
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const Admin = require('../models/Admin'); // adjust path if needed
+const { PERMISSIONS, ROLES, TOP_LEVEL_ROLES } = require('../config/roles');
+const { authorize } = require('../middleware/auth');
+const mailer = require('../services/mailer');
+const sessions = require('../services/sessions');
+const { rateLimit, resetKey } = require('../services/rateLimit');
+const audit = require('../services/audit');
 require('dotenv').config();
 
-// helper: sign token
-function signToken(admin) {
-  // accept either mongoose doc or plain object with id/_id
-  const id = admin._id ? admin._id : admin.id;
-  const payload = { id, email: admin.email, role: admin.role || 'admin' };
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
-}
-
 // middleware: authenticate token and attach admin doc (or minimal admin) to req.currentAdmin
-async function authenticate(req, res, next) {
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (!token) return res.status(401).json({ message: 'Authorization token required' });
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Preferred: token contains DB id -> load by id
-    if (decoded.id) {
-      try {
-        const admin = await Admin.findById(decoded.id).exec();
-        if (!admin) {
-          // token contains id but admin not found
-          return res.status(401).json({ message: 'Invalid token: admin not found' });
-        }
-        req.currentAdmin = admin;
-        return next();
-      } catch (err) {
-        console.error('DB lookup error in authenticate:', err);
-        return res.status(500).json({ message: 'Server error during authentication' });
-      }
-    }
-
-    // Fallback: token contains email -> try to find DB-backed admin by email
-    if (decoded.email) {
-      try {
-        const adminByEmail = await Admin.findOne({ email: decoded.email.toLowerCase().trim() }).exec();
-        if (adminByEmail) {
-          req.currentAdmin = adminByEmail;
-          return next();
-        }
-
-        // Optional: allow ephemeral env-admin tokens (bootstrap flow)
-        // Only accept if token explicitly had isEnvAdmin flag.
-        if (decoded.isEnvAdmin) {
-          // minimal admin-like object (not persisted)
-          req.currentAdmin = { email: decoded.email, role: decoded.role || 'admin', isEnvAdmin: true };
-          return next();
-        }
-      } catch (err) {
-        console.error('DB lookup error in authenticate (email fallback):', err);
-        return res.status(500).json({ message: 'Server error during authentication' });
-      }
-    }
+const authenticate = authorize();
+
+// throttling for unauthenticated endpoints (per client IP, plus per account for login)
+const accountKey = req => (req.body && typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : null);
+const loginIpLimit = rateLimit({ name: 'login-ip', windowMs: 15 * 60 * 1000, max: 20 });
+const loginAccountLimit = rateLimit({ name: 'login-account', windowMs: 15 * 60 * 1000, max: 10, key: accountKey });
+const initAdminLimit = rateLimit({ name: 'init-admin', windowMs: 60 * 60 * 1000, max: 5 });
+const passwordResetLimit = rateLimit({ name: 'password-reset', windowMs: 15 * 60 * 1000, max: 5 });
+
+// failed logins have no authenticated actor; the attempted email goes into meta
+function auditFailedLogin(req, email, admin, reason) {
+  audit.record(req, 'auth.login_failed', {
+    actor: null,
+    ...(admin ? { target: audit.target('admin', admin) } : {}),
+    meta: { email, reason },
+  });
+}
 
-    // No matching admin found
-    return res.status(401).json({ message: 'Invalid token: admin not found' });
-  } catch (err) {
-    return res.status(401).json({ message: 'Invalid or expired token', error: err.message });
-  }
+function sendLocked(res, admin) {
+  const retryAfterSec = Math.ceil(admin.lockRemainingMs() / 1000);
+  res.set('Retry-After', String(retryAfterSec));
+  return res.status(429).json({ message: 'Account temporarily locked due to repeated failed logins', retryAfter: retryAfterSec });
 }
 
 // login: check DB first, fallback to env-bootstrap (but ensure DB-backed admin is created)
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimit, loginAccountLimit, async (req, res) => {
   const { email, password } = req.body || {};
   if (!email || !password) return res.status(400).json({ message: 'Email and password required' });
 
@@ -78,11 +47,24 @@ router.post('/login', async (req, res) => {
     const admin = await Admin.findOne({ email: normalizedEmail }).exec();
 
     if (admin) {
+      if (admin.lockRemainingMs() > 0) {
+        auditFailedLogin(req, normalizedEmail, admin, 'locked');
+        return sendLocked(res, admin);
+      }
+
       const ok = await bcrypt.compare(password, admin.passwordHash);
-      if (!ok) return res.status(401).json({ message: 'Invalid credentials' });
+      if (!ok) {
+        await admin.registerFailedLogin();
+        const locked = admin.lockRemainingMs() > 0;
+        auditFailedLogin(req, normalizedEmail, admin, locked ? 'invalid_password_locked' : 'invalid_password');
+        if (locked) return sendLocked(res, admin);
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
 
-      const token = signToken(admin);
-      return res.json({ token });
+      await admin.clearLockout();
+      const session = await sessions.issueSession(admin, req);
+      audit.record(req, 'auth.login', { actor: admin, target: audit.target('admin', admin) });
+      return res.json(session);
     }
 
     // fallback to ENV bootstrap credential (useful for very first admin if DB was not seeded)
@@ -92,16 +74,24 @@ router.post('/login', async (req, res) => {
         let adminRecord = await Admin.findOne({ email: normalizedEmail }).exec();
         if (!adminRecord) {
           const passwordHash = await bcrypt.hash(password, 10);
-          adminRecord = new Admin({ email: normalizedEmail, passwordHash });
+          adminRecord = new Admin({ email: normalizedEmail, passwordHash, role: 'superadmin' });
           await adminRecord.save();
+          audit.record(req, 'admin.create', {
+            actor: adminRecord,
+            target: audit.target('admin', adminRecord),
+            after: audit.snapshot('admin', adminRecord),
+            meta: { source: 'env-login' },
+          });
         }
 
-        // Sign a token that includes the DB id (preferred)
-        const token = signToken(adminRecord);
-        return res.json({ token, note: 'Logged in using ENV admin; DB record ensured.' });
+        // Issue a session for the DB-backed record
+        const session = await sessions.issueSession(adminRecord, req);
+        audit.record(req, 'auth.login', { actor: adminRecord, target: audit.target('admin', adminRecord), meta: { envAdmin: true } });
+        return res.json({ ...session, note: 'Logged in using ENV admin; DB record ensured.' });
       }
     }
 
+    auditFailedLogin(req, normalizedEmail, null, 'unknown_email');
     return res.status(401).json({ message: 'Invalid credentials' });
   } catch (err) {
     console.error(err);
@@ -114,7 +104,7 @@ router.post('/login', async (req, res) => {
  * Only allowed if no admin exists in DB AND request provides the same env creds.
  * Call this once during setup if you prefer.
  */
-router.post('/init-admin', async (req, res) => {
+router.post('/init-admin', initAdminLimit, async (req, res) => {
   try {
     const adminCount = await Admin.countDocuments();
     if (adminCount > 0) return res.status(400).json({ message: 'Admins already exist. Use protected create route.' });
@@ -130,11 +120,17 @@ router.post('/init-admin', async (req, res) => {
     }
 
     const passwordHash = await bcrypt.hash(password, 10);
-    const newAdmin = new Admin({ email: email.toLowerCase().trim(), passwordHash });
+    const newAdmin = new Admin({ email: email.toLowerCase().trim(), passwordHash, role: 'superadmin' });
     await newAdmin.save();
-
-    const token = signToken(newAdmin);
-    return res.json({ message: 'Initial admin created', token });
+    audit.record(req, 'admin.create', {
+      actor: newAdmin,
+      target: audit.target('admin', newAdmin),
+      after: audit.snapshot('admin', newAdmin),
+      meta: { source: 'init-admin' },
+    });
+
+    const session = await sessions.issueSession(newAdmin, req);
+    return res.json({ message: 'Initial admin created', ...session });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error', error: err.message });
@@ -143,72 +139,306 @@ router.post('/init-admin', async (req, res) => {
 
 /**
  * Protected: create another admin.
- * Only callable by an authenticated admin (token required).
- * Body: { email, password }
+ * Only callable by a superadmin.
+ * Body: { email, password, role? } (role defaults to 'viewer')
  */
-router.post('/create-admin', authenticate, async (req, res) => {
+router.post('/create-admin', authorize(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
   try {
-    const { email, password } = req.body || {};
+    const { email, password, role = 'viewer' } = req.body || {};
     if (!email || !password) return res.status(400).json({ message: 'Email and password required' });
-
-    // ensure only DB-backed admin (or role 'admin') can create others
-    // If req.currentAdmin is an ephemeral env admin (isEnvAdmin), it still has role 'admin'
-    // If you want to restrict to only persisted admins, check for req.currentAdmin._id existence.
-    if (!req.currentAdmin || (req.currentAdmin.role !== 'admin' && req.currentAdmin.role !== 'superadmin')) {
-      return res.status(403).json({ message: 'Forbidden: admin only' });
-    }
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `Invalid role. Expected one of: ${ROLES.join(', ')}` });
 
     const normalized = email.toLowerCase().trim();
     const existing = await Admin.findOne({ email: normalized }).exec();
     if (existing) return res.status(409).json({ message: 'Admin with this email already exists' });
 
     const passwordHash = await bcrypt.hash(password, 10);
-    const newAdmin = new Admin({ email: normalized, passwordHash });
+    const newAdmin = new Admin({ email: normalized, passwordHash, role });
     await newAdmin.save();
+    audit.record(req, 'admin.create', { target: audit.target('admin', newAdmin), after: audit.snapshot('admin', newAdmin) });
 
-    return res.status(201).json({ message: 'New admin created', admin: { id: newAdmin._id, email: newAdmin.email } });
+    return res.status(201).json({ message: 'New admin created', admin: { id: newAdmin._id, email: newAdmin.email, role: newAdmin.role } });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
-// Immediate password update using email + new password (NO EMAIL LINK / TOKEN)
-router.post('/forgot-password', async (req, res) => {
+/**
+ * Exchange a refresh token for a new access token + refresh token.
+ * Body: { refreshToken }
+ * Each refresh token works once; reusing one revokes the whole session.
+ * Routine refreshes aren't audited; rejected ones (e.g. token reuse) are.
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== 'string') return res.status(400).json({ message: 'Refresh token required' });
+
   try {
-    const { email, newPassword } = req.body || {};
-    if (!email) return res.status(400).json({ message: 'Email required' });
-    if (!newPassword) return res.status(400).json({ message: 'New password required' });
+    const session = await sessions.rotateSession(refreshToken, id => Admin.findById(id).exec(), req);
+    return res.json(session);
+  } catch (err) {
+    if (err instanceof sessions.SessionError) {
+      audit.record(req, 'auth.refresh_failed', { actor: null, meta: { reason: err.message } });
+      return res.status(401).json({ message: err.message });
+    }
+    console.error('Refresh error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+/**
+ * Log out of the current session.
+ * Body: { refreshToken } — works without a valid access token; always succeeds.
+ */
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken || typeof refreshToken !== 'string') return res.status(400).json({ message: 'Refresh token required' });
+
+  try {
+    const adminId = await sessions.revokeSessionByToken(refreshToken);
+    if (adminId) {
+      const admin = await Admin.findById(adminId).select('email role').exec();
+      if (admin) audit.record(req, 'auth.logout', { actor: admin, target: audit.target('admin', admin) });
+    }
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Log out of every device: revokes all refresh tokens and every access token issued so far
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    if (!req.currentAdmin._id) return res.status(400).json({ message: 'Not available for ENV admin tokens' });
+
+    await Admin.updateOne({ _id: req.currentAdmin._id }, { $inc: { tokenVersion: 1 } }).exec();
+    await sessions.revokeAllSessions(req.currentAdmin._id);
+    audit.record(req, 'auth.logout_all', { target: audit.target('admin', req.currentAdmin) });
+    return res.json({ message: 'Logged out of all devices' });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// current admin's profile and role
+router.get('/me', authenticate, (req, res) => {
+  const { _id, email, role, isEnvAdmin } = req.currentAdmin;
+  return res.json({ id: _id, email, role, ...(isEnvAdmin ? { isEnvAdmin } : {}) });
+});
+
+// Protected: admins with failed logins or an active lock (superadmin only)
+router.get('/lockouts', authorize(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const admins = await Admin.find({ $or: [{ failedLoginAttempts: { $gt: 0 } }, { lockUntil: { $gt: new Date() } }] })
+      .select('email failedLoginAttempts lockCount lockUntil')
+      .sort({ lockUntil: -1 })
+      .exec();
+
+    return res.json(admins.map(a => ({
+      id: a._id,
+      email: a.email,
+      failedLoginAttempts: a.failedLoginAttempts,
+      lockCount: a.lockCount,
+      lockUntil: a.lockUntil,
+      locked: a.lockRemainingMs() > 0,
+    })));
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Protected: clear an admin's lockout and per-account login throttling (superadmin only)
+router.delete('/lockouts/:id', authorize(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id).exec();
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+
+    await admin.clearLockout();
+    await resetKey('login-account', admin.email);
+    audit.record(req, 'admin.unlock', { target: audit.target('admin', admin) });
+    return res.json({ message: 'Lockout cleared', admin: { id: admin._id, email: admin.email } });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid id' });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// refuse changes that would leave no top-level admin behind
+async function isLastTopLevelAdmin(admin) {
+  if (!TOP_LEVEL_ROLES.includes(admin.role)) return false;
+  const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: { $in: TOP_LEVEL_ROLES } });
+  return others === 0;
+}
+
+// Protected: list admins (superadmin only)
+router.get('/admins', authorize(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const admins = await Admin.find().select('email role createdAt').sort({ createdAt: 1 }).lean();
+    return res.json(admins);
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+/**
+ * Protected: change an admin's role (superadmin only).
+ * Body: { role }
+ */
+router.patch('/admins/:id/role', authorize(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) return res.status(400).json({ message: `Invalid role. Expected one of: ${ROLES.join(', ')}` });
+
+    const admin = await Admin.findById(req.params.id).exec();
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+
+    if (!TOP_LEVEL_ROLES.includes(role) && await isLastTopLevelAdmin(admin)) {
+      return res.status(400).json({ message: 'Cannot demote the last superadmin' });
+    }
+
+    const before = audit.snapshot('admin', admin);
+    admin.role = role;
+    await admin.save();
+    audit.record(req, 'admin.role', { target: audit.target('admin', admin), before, after: audit.snapshot('admin', admin) });
+    return res.json({ message: 'Role updated', admin: { id: admin._id, email: admin.email, role: admin.role } });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid id' });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// Protected: delete an admin (superadmin only). Their tokens stop working immediately.
+router.delete('/admins/:id', authorize(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id).exec();
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+
+    if (req.currentAdmin._id && req.currentAdmin._id.equals(admin._id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    if (await isLastTopLevelAdmin(admin)) {
+      return res.status(400).json({ message: 'Cannot delete the last superadmin' });
+    }
+
+    await admin.deleteOne();
+    await sessions.revokeAllSessions(admin._id);
+    audit.record(req, 'admin.delete', { target: audit.target('admin', admin), before: audit.snapshot('admin', admin) });
+    return res.json({ message: 'Admin deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ message: 'Invalid id' });
+    console.error(err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '30', 10);
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function resetLink(token) {
+  const base = process.env.PASSWORD_RESET_URL;
+  if (!base) return null;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+async function sendResetEmail(admin, token) {
+  const link = resetLink(token);
+  const lines = [
+    'A password reset was requested for your Koovappady admin account.',
+    '',
+    link ? `Reset your password: ${link}` : `Your reset token: ${token}`,
+    '',
+    `This ${link ? 'link' : 'token'} expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+    'If you did not request this, you can ignore this email.',
+  ];
+  await mailer.send({ to: admin.email, subject: 'Password reset', text: lines.join('\n') });
+}
+
+/**
+ * Step 1: request a password reset.
+ * Body: { email }
+ * Always answers the same way so the response does not reveal whether the email exists.
+ */
+router.post('/forgot-password', passwordResetLimit, async (req, res) => {
+  const genericResponse = { message: 'If an admin with that email exists, a reset link has been sent.' };
+  try {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') return res.status(400).json({ message: 'Email required' });
 
     const normalized = email.toLowerCase().trim();
     const admin = await Admin.findOne({ email: normalized }).exec();
+    audit.record(req, 'auth.password_reset_requested', {
+      actor: null,
+      ...(admin ? { target: audit.target('admin', admin) } : {}),
+      meta: { email: normalized, known: Boolean(admin) },
+    });
+    if (!admin) return res.json(genericResponse);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    admin.resetPasswordToken = hashResetToken(token);
+    admin.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    await admin.save();
 
-    if (!admin) {
-      // Avoid leaking whether an email exists in responses if you want privacy.
-      return res.status(404).json({ message: 'No admin found with that email' });
-    }
+    // don't let mail latency or failures change the response
+    sendResetEmail(admin, token).catch(err => console.error('Reset email error:', err));
+
+    return res.json(genericResponse);
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+/**
+ * Step 2: confirm the reset.
+ * Body: { token, newPassword }
+ * The token is single-use; existing sessions of the admin are invalidated.
+ */
+router.post('/reset-password', passwordResetLimit, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+    if (!token || typeof token !== 'string') return res.status(400).json({ message: 'Reset token required' });
+    if (!newPassword) return res.status(400).json({ message: 'New password required' });
 
     // Basic password policy (adjust as needed)
     if (typeof newPassword !== 'string' || newPassword.length < 8) {
       return res.status(400).json({ message: 'Password must be at least 8 characters' });
     }
 
-    // Hash and update password
-    const passwordHash = await bcrypt.hash(newPassword, 10);
-    admin.passwordHash = passwordHash;
+    const admin = await Admin.findOne({
+      resetPasswordToken: hashResetToken(token),
+      resetPasswordExpires: { $gt: new Date() },
+    }).exec();
+    if (!admin) return res.status(400).json({ message: 'Invalid or expired reset token' });
 
-    // If you were using reset token fields, clear them to be safe
+    admin.passwordHash = await bcrypt.hash(newPassword, 10);
     admin.resetPasswordToken = undefined;
     admin.resetPasswordExpires = undefined;
-
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    // proving control of the mailbox ends any lockout and login throttling, so the new password works right away
+    admin.failedLoginAttempts = 0;
+    admin.lockCount = 0;
+    admin.lockUntil = null;
     await admin.save();
+    await resetKey('login-account', admin.email);
+    await sessions.revokeAllSessions(admin._id);
 
     // Optionally log the change (be careful not to log passwords)
-    console.log(`Password updated for admin: ${normalized} (via immediate reset route)`);
+    console.log(`Password reset for admin: ${admin.email}`);
+    audit.record(req, 'auth.password_reset', { actor: admin, target: audit.target('admin', admin) });
 
-    return res.json({ message: 'Password updated successfully' });
+    return res.json({ message: 'Password updated successfully. Please log in again.' });
   } catch (err) {
-    console.error('Immediate reset error:', err);
+    console.error('Reset password error:', err);
     return res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
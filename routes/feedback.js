@@ -2,10 +2,40 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const Feedback = require('../models/Feedback');
-const auth = require('../middleware/auth');
+const Admin = require('../models/Admin');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { rateLimit } = require('../services/rateLimit');
+const { SORTS, buildFeedbackFilter, encodeCursor, cursorFilter } = require('../services/feedbackQuery');
+const { FORMATS: EXPORT_FORMATS, streamFeedback } = require('../services/feedbackExport');
+const spam = require('../services/spam');
+const captcha = require('../services/spam/captcha');
+const audit = require('../services/audit');
 
-// Create feedback -> POST /feedback
-router.post('/', async (req, res) => {
+// public form: a handful of submissions per IP is plenty
+const submitLimit = rateLimit({
+  name: 'feedback-submit',
+  windowMs: 10 * 60 * 1000,
+  max: 5,
+  handler: (req, res, retryAfter) => res.status(429).json({ error: 'Too many submissions, please try again later', retryAfter }),
+});
+
+// Form bootstrap for the public site -> GET /feedback/form-token
+// The form should send formToken back on submit and render the honeypot field hidden.
+router.get('/form-token', (req, res) => {
+  return res.json({
+    formToken: spam.issueFormToken(),
+    honeypotField: spam.HONEYPOT_FIELD,
+    captcha: { provider: captcha.name, enabled: captcha.enabled },
+  });
+});
+
+/**
+ * Create feedback -> POST /feedback
+ * Body: { name, email, message, formToken?, captchaToken?, <honeypot field> }
+ * Submissions that trip the spam checks are stored flagged; the response is the same either way.
+ */
+router.post('/', submitLimit, async (req, res) => {
   try {
     const { name, email, message } = req.body;
 
@@ -13,9 +43,27 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'name, email and message are required' });
     }
 
-    const fb = new Feedback({ name, email, message });
+    const { reasons, messageHash } = await spam.evaluateSubmission(req.body, req.ip);
+
+    const fb = new Feedback({
+      name,
+      email,
+      message,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      messageHash,
+      spam: { flagged: reasons.length > 0, reasons },
+    });
     const saved = await fb.save();
-    return res.status(201).json(saved);
+    if (reasons.length) console.warn(`Feedback ${saved._id} flagged as spam: ${reasons.join(', ')}`);
+
+    return res.status(201).json({
+      _id: saved._id,
+      name: saved.name,
+      email: saved.email,
+      message: saved.message,
+      createdAt: saved.createdAt,
+    });
   } catch (err) {
     if (err.name === 'ValidationError') {
       const details = Object.values(err.errors).map(e => e.message);
@@ -26,21 +74,160 @@ router.post('/', async (req, res) => {
   }
 });
 
-// optional query params: ?limit=50&skip=0
-router.get('/', auth, async (req, res) => {
+/**
+ * List feedback -> GET /feedback
+ * Query params:
+ * - q, from, to, email, status, assignedTo, spam: filters (see services/feedbackQuery.js)
+ * - sort: newest (default) | oldest | name | email
+ * - limit: page size (default 50, max 1000)
+ * - cursor: nextCursor from the previous page (preferred), or skip for offset paging
+ * Response: { items, total, nextCursor, facets: { status: { new, read, ... } } }
+ * total/facets describe the whole filtered set, not just the page.
+ */
+router.get('/', authorize(PERMISSIONS.FEEDBACK_READ), async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit || '100', 10), 1000);
-    const skip = Math.max(parseInt(req.query.skip || '0', 10), 0);
-    const items = await Feedback.find().sort({ createdAt: -1 }).skip(skip).limit(limit).lean();
-    return res.json(items);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50', 10) || 50, 1), 1000);
+    const skip = Math.max(parseInt(req.query.skip || '0', 10) || 0, 0);
+
+    const sortName = req.query.sort || 'newest';
+    const sort = SORTS[sortName];
+    if (!sort) return res.status(400).json({ error: `Invalid sort. Expected one of: ${Object.keys(SORTS).join(', ')}` });
+
+    const { base, status, error } = buildFeedbackFilter(req.query, req.currentAdmin);
+    if (error) return res.status(400).json({ error });
+    const filter = { ...base, ...status };
+
+    let pageFilter = filter;
+    if (req.query.cursor) {
+      const after = cursorFilter(req.query.cursor, sort);
+      if (!after) return res.status(400).json({ error: 'Invalid cursor' });
+      pageFilter = { $and: [filter, after] };
+    }
+
+    const [items, total, grouped] = await Promise.all([
+      Feedback.find(pageFilter)
+        .sort({ [sort.field]: sort.dir, _id: sort.dir })
+        .skip(req.query.cursor ? 0 : skip)
+        .limit(limit + 1)
+        .lean(),
+      Feedback.countDocuments(filter),
+      // status facet ignores the status filter so the UI can show every tab's count
+      Feedback.aggregate([
+        { $match: base },
+        { $group: { _id: { $ifNull: ['$status', 'new'] }, count: { $sum: 1 } } }
+      ]),
+    ]);
+
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+
+    const statusFacet = Object.fromEntries(Feedback.STATUSES.map(st => [st, 0]));
+    for (const g of grouped) statusFacet[g._id] = g.count;
+
+    return res.json({
+      items,
+      total,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+      facets: { status: statusFacet },
+    });
   } catch (err) {
     console.error('Feedback GET error:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * Export -> GET /feedback/export?format=csv|ndjson
+ * Accepts the same filters as the listing (q, from, to, email, status, assignedTo, spam).
+ * The file is streamed, oldest feedback first.
+ */
+router.get('/export', authorize(PERMISSIONS.FEEDBACK_READ), async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Invalid format. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const { base, status, error } = buildFeedbackFilter(req.query, req.currentAdmin);
+  if (error) return res.status(400).json({ error });
+
+  // recorded before any row is sent, so aborted or failed downloads are audited too
+  const filters = ['q', 'from', 'to', 'email', 'status', 'assignedTo', 'spam'].filter((key) => req.query[key] !== undefined);
+  await audit.record(req, 'feedback.export', {
+    meta: { format, filters: Object.fromEntries(filters.map((key) => [key, String(req.query[key])])) },
+  });
+
+  try {
+    await streamFeedback(res, { ...base, ...status }, format);
+  } catch (err) {
+    console.error('Feedback export error:', err);
+    if (!res.headersSent) return res.status(500).json({ error: 'Internal server error' });
+    res.destroy(err); // headers already sent: abort so the client sees a truncated download
+  }
+});
+
+// Counts for the dashboard badge -> GET /feedback/counts
+router.get('/counts', authorize(PERMISSIONS.FEEDBACK_READ), async (req, res) => {
+  try {
+    const notSpam = { 'spam.flagged': { $ne: true } };
+    const grouped = await Feedback.aggregate([
+      { $match: notSpam },
+      { $group: { _id: { $ifNull: ['$status', 'new'] }, count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(Feedback.STATUSES.map(st => [st, 0]));
+    for (const g of grouped) byStatus[g._id] = g.count;
+
+    const assignedToMe = req.currentAdmin._id
+      ? await Feedback.countDocuments({ ...notSpam, assignedTo: req.currentAdmin._id, status: { $nin: ['resolved', 'archived'] } })
+      : 0;
+    const spamCount = await Feedback.countDocuments({ 'spam.flagged': true, status: { $ne: 'archived' } });
+
+    return res.json({ unread: byStatus.new, byStatus, assignedToMe, spam: spamCount });
+  } catch (err) {
+    console.error('Feedback counts error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Bulk status change -> PATCH /feedback/bulk/status
+ * Body: { ids: [...], status }
+ * Items whose current status can't move to `status` are left untouched and reported as skipped.
+ */
+router.patch('/bulk/status', authorize(PERMISSIONS.FEEDBACK_MANAGE), async (req, res) => {
+  const { ids, status } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ error: 'ids array required' });
+  if (ids.length > 1000) return res.status(400).json({ error: 'Too many ids' });
+  if (!Feedback.STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length) return res.status(400).json({ error: 'Invalid id', details: invalid });
+
+  try {
+    const sources = Feedback.sourcesFor(status);
+    if (sources.includes('new')) sources.push(null);
+
+    const filter = { _id: { $in: ids }, status: { $in: sources } };
+    const changing = await Feedback.find(filter).select('email status').lean();
+    const result = await Feedback.updateMany(filter, { $set: { status, statusChangedAt: new Date() } });
+    for (const item of changing) {
+      audit.record(req, 'feedback.update', {
+        target: audit.target('feedback', item),
+        before: { status: item.status || 'new' },
+        after: { status },
+        meta: { bulk: true },
+      });
+    }
+
+    return res.json({ updated: result.modifiedCount, skipped: ids.length - result.modifiedCount });
+  } catch (err) {
+    console.error('Feedback bulk status error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // OPTIONAL: Get one feedback by id -> GET /feedback/:id
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', authorize(PERMISSIONS.FEEDBACK_READ), async (req, res) => {
   const { id } = req.params;
   if (!mongoose.Types.ObjectId.isValid(id)) {
     return res.status(400).json({ error: 'Invalid id' });
@@ -55,4 +242,157 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * Update status and/or assignment -> PATCH /feedback/:id
+ * Body: { status?, assignedTo? (admin id, or null to unassign) }
+ */
+router.patch('/:id', authorize(PERMISSIONS.FEEDBACK_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  const { status, assignedTo } = req.body || {};
+  if (status === undefined && assignedTo === undefined) {
+    return res.status(400).json({ error: 'status or assignedTo required' });
+  }
+
+  try {
+    const item = await Feedback.findById(id);
+    if (!item) return res.status(404).json({ error: 'Not found' });
+    const before = audit.snapshot('feedback', item);
+
+    if (status !== undefined) {
+      if (!Feedback.STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+      if (!item.canTransitionTo(status)) {
+        return res.status(409).json({ error: `Cannot change status from ${item.status} to ${status}` });
+      }
+      if (item.status !== status) {
+        item.status = status;
+        item.statusChangedAt = new Date();
+      }
+    }
+
+    if (assignedTo !== undefined) {
+      if (assignedTo === null || assignedTo === '') {
+        item.assignedTo = null;
+      } else {
+        if (!mongoose.Types.ObjectId.isValid(assignedTo)) return res.status(400).json({ error: 'Invalid assignedTo' });
+        const assignee = await Admin.exists({ _id: assignedTo });
+        if (!assignee) return res.status(400).json({ error: 'Assignee not found' });
+        item.assignedTo = assignedTo;
+      }
+    }
+
+    const saved = await item.save();
+    audit.record(req, 'feedback.update', { target: audit.target('feedback', saved), before, after: audit.snapshot('feedback', saved) });
+    return res.json(saved);
+  } catch (err) {
+    console.error('Feedback PATCH error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Moderator spam verdict -> PATCH /feedback/:id/spam
+ * Body: { spam: true | false }
+ */
+router.patch('/:id/spam', authorize(PERMISSIONS.FEEDBACK_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  const { spam: isSpam } = req.body || {};
+  if (typeof isSpam !== 'boolean') return res.status(400).json({ error: 'spam (boolean) is required' });
+
+  try {
+    const item = await Feedback.findById(id);
+    if (!item) return res.status(404).json({ error: 'Not found' });
+
+    const before = audit.snapshot('feedback', item);
+    item.spam.flagged = isSpam;
+    if (isSpam && !item.spam.reasons.includes('moderator')) item.spam.reasons.push('moderator');
+    item.spam.reviewedBy = req.currentAdmin._id;
+    item.spam.reviewedAt = new Date();
+
+    const saved = await item.save();
+    audit.record(req, 'feedback.spam', { target: audit.target('feedback', saved), before, after: audit.snapshot('feedback', saved) });
+    return res.json(saved);
+  } catch (err) {
+    console.error('Feedback spam PATCH error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an internal note -> POST /feedback/:id/notes  body: { text }
+router.post('/:id/notes', authorize(PERMISSIONS.FEEDBACK_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  const { text } = req.body || {};
+  if (!text || typeof text !== 'string') return res.status(400).json({ error: 'text is required' });
+
+  try {
+    const item = await Feedback.findById(id);
+    if (!item) return res.status(404).json({ error: 'Not found' });
+
+    item.notes.push({ author: req.currentAdmin._id, authorEmail: req.currentAdmin.email, text });
+    await item.save();
+    const note = item.notes[item.notes.length - 1];
+    audit.record(req, 'feedback.note_add', { target: audit.target('feedback', item), meta: { noteId: String(note._id) } });
+    return res.status(201).json(note);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const details = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    console.error('Feedback note POST error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove an internal note -> DELETE /feedback/:id/notes/:noteId
+router.delete('/:id/notes/:noteId', authorize(PERMISSIONS.FEEDBACK_MANAGE), async (req, res) => {
+  const { id, noteId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(noteId)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+
+  try {
+    const item = await Feedback.findById(id);
+    if (!item) return res.status(404).json({ error: 'Not found' });
+
+    const note = item.notes.id(noteId);
+    if (!note) return res.status(404).json({ error: 'Note not found' });
+
+    note.deleteOne();
+    await item.save();
+    audit.record(req, 'feedback.note_delete', {
+      target: audit.target('feedback', item),
+      meta: { noteId, authorEmail: note.authorEmail, text: note.text },
+    });
+    return res.json({ message: 'Note deleted' });
+  } catch (err) {
+    console.error('Feedback note DELETE error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete feedback -> DELETE /feedback/:id
+router.delete('/:id', authorize(PERMISSIONS.FEEDBACK_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  try {
+    const deleted = await Feedback.findByIdAndDelete(id);
+    if (!deleted) return res.status(404).json({ error: 'Not found' });
+    audit.record(req, 'feedback.delete', { target: audit.target('feedback', deleted), before: audit.snapshot('feedback', deleted) });
+    return res.json({ message: 'Feedback deleted' });
+  } catch (err) {
+    console.error('Feedback DELETE error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
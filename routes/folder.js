@@ -1,74 +1,378 @@
-
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Folder = require('../models/folder');
-const auth = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { SORT, claimPosition, reorderSiblings } = require('../services/folderOrder');
+const { parseMediaQuery, pageMedia } = require('../services/gallery');
+const Media = require('../models/Media');
+const media = require('../services/media');
+const { cachePublic, invalidateOnWrite } = require('../middleware/httpCache');
+const { parseTags } = require('../services/tags');
+const audit = require('../services/audit');
+
+// any successful change here clears cached public responses
+router.use(invalidateOnWrite);
+
+
+// folders not in the trash and not below a trashed folder
+async function visibleFolders(sort = SORT) {
+    const folders = await Folder.find().notDeleted().sort(sort);
+    return Folder.reachable(folders);
+}
+
+// folders the public site may list: published, within schedule, and so is every parent
+async function publicFolders(sort = SORT) {
+    const folders = await Folder.find().notDeleted().publiclyListed().sort(sort);
+    return Folder.reachable(folders);
+}
+
+// ?parent=<id> or ?parent=root narrows a listing to one level of the tree
+function filterByParent(folders, parent) {
+    if (parent === undefined) return folders;
+    if (parent === 'root') return folders.filter(f => !f.parent);
+    return folders.filter(f => f.parent && String(f.parent) === parent);
+}
+
+function breadcrumbs(ancestors, folder) {
+    return [...ancestors, folder].map(f => ({ _id: f._id, name: f.name, slug: f.slug }));
+}
+
+// resolves a parentId from a request body: null for top level, a live folder otherwise
+async function resolveParent(parentId) {
+    if (parentId === undefined || parentId === null || parentId === '' || parentId === 'root') return { parent: null };
+    if (!mongoose.Types.ObjectId.isValid(parentId)) return { error: 'Invalid parentId' };
+    const parent = await Folder.findById(parentId).notDeleted();
+    if (!parent) return { error: 'Parent folder not found' };
+    const ancestors = await parent.ancestors();
+    if (ancestors.some(a => a.deletedAt)) return { error: 'Parent folder not found' };
+    return { parent };
+}
+
+function parseOptionalDate(value) {
+    if (value === null || value === '') return { date: null };
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? { error: true } : { date };
+}
+
+/**
+ * Apply publishing metadata from a request body to a folder (only the fields present):
+ * slug, description, visibility, publishAt, unpublishAt, coverImage, tags.
+ * Returns an error message, or null when everything was valid.
+ */
+async function applyMetadata(folder, body) {
+    const { slug, description, visibility, publishAt, unpublishAt, coverImage, tags } = body;
+
+    if (slug !== undefined) {
+        if (slug === null || slug === '') {
+            folder.slug = await Folder.uniqueSlug(folder.name, folder._id);
+        } else {
+            const normalized = String(slug).normalize('NFKC').toLowerCase().trim();
+            if (!Folder.SLUG_PATTERN.test(normalized)) return 'Invalid slug (use letters, numbers and single hyphens)';
+            if (await Folder.exists({ slug: normalized, _id: { $ne: folder._id } })) return 'Slug already in use';
+            folder.slug = normalized;
+        }
+    }
+
+    if (description !== undefined) {
+        if (description !== null && typeof description !== 'string') return 'Invalid description';
+        folder.description = description || undefined;
+    }
+
+    if (visibility !== undefined) {
+        if (!['draft', 'published', 'unlisted'].includes(visibility)) return 'Invalid visibility (draft, published or unlisted)';
+        folder.visibility = visibility;
+    }
+
+    for (const [field, value] of [['publishAt', publishAt], ['unpublishAt', unpublishAt]]) {
+        if (value === undefined) continue;
+        const { date, error } = parseOptionalDate(value);
+        if (error) return `Invalid ${field}`;
+        folder[field] = date;
+    }
+    if (folder.publishAt && folder.unpublishAt && folder.publishAt >= folder.unpublishAt) {
+        return 'unpublishAt must be after publishAt';
+    }
+
+    if (tags !== undefined) {
+        const parsed = parseTags(tags);
+        if (parsed.error) return parsed.error;
+        folder.tags = parsed.tags.length ? parsed.tags : undefined;
+    }
+
+    if (coverImage !== undefined) {
+        if (coverImage === null || coverImage === '') {
+            folder.coverImage = null;
+        } else {
+            const isImage = await Media.exists({ folder: folder._id, type: 'image', public_id: coverImage, deletedAt: null });
+            if (!isImage) return 'coverImage must be one of this folder\'s images';
+            folder.coverImage = coverImage;
+        }
+    }
 
+    return null;
+}
 
-router.get('/public', async (req, res) => {
+async function siblingNameTaken(name, parentId, exceptId) {
+    const filter = { name, parent: parentId || null };
+    if (exceptId) filter._id = { $ne: exceptId };
+    return Folder.findOne(filter);
+}
+
+
+// Public endpoints answer with envelopes: { items, total } for lists,
+// { items, total, nextCursor } for paged lists, { folder, ... } for single folders.
+
+// folder summaries (no media): ?parent=<id>|root for one level of the tree
+router.get('/public', cachePublic, async (req, res) => {
     try {
-        const folders = await Folder.find().sort({ createdAt: 1 });
-        res.status(200).json(folders);
+        const folders = filterByParent(await publicFolders(), req.query.parent);
+        res.status(200).json({ items: await media.summarize(folders), total: folders.length });
     } catch (err) {
         console.error('Public Fetch Error:', err.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-router.get('/', auth, async (req, res) => {
+// whole folder hierarchy for site navigation (summaries only, no media)
+router.get('/public/tree', cachePublic, async (req, res) => {
     try {
-        const folders = await Folder.find().sort({ createdAt: 1 });
-        res.json(folders);
+        const folders = await publicFolders();
+        const summaries = new Map((await media.summarize(folders)).map(s => [String(s._id), s]));
+        const tree = Folder.buildTree(folders, f => summaries.get(String(f._id)));
+        res.json({ items: tree, total: folders.length });
     } catch (err) {
+        console.error('Public Tree Error:', err.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// one public folder (published or unlisted) by slug; media is paged via /public/:idOrSlug/media
+router.get('/public/by-slug/:slug', cachePublic, async (req, res) => {
+    try {
+        const folder = await Folder.findPublic(req.params.slug);
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+        const [summary] = await media.summarize([folder]);
+        res.json({ folder: summary, breadcrumbs: breadcrumbs(await folder.ancestors(), folder) });
+    } catch (err) {
+        console.error('Public Slug Fetch Error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
 
-router.post('/', auth, async (req, res) => {
-    const { name } = req.body;
+/**
+ * GET /public/:idOrSlug/media
+ * Query: type=image|video|all (default all), limit (default 24, max 100),
+ *        cursor (nextCursor of the previous page), fields=url,label,... (projection)
+ * Response: { items, total, nextCursor }
+ */
+router.get('/public/:idOrSlug/media', cachePublic, async (req, res) => {
+    const { options, error } = parseMediaQuery(req.query);
+    if (error) return res.status(400).json({ message: error });
+    try {
+        const folder = await Folder.findPublic(req.params.idOrSlug);
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+        const page = await pageMedia(folder, options);
+        if (page.error) return res.status(400).json({ message: page.error });
+        res.json(page);
+    } catch (err) {
+        console.error('Public Media Fetch Error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+router.get('/public/:idOrSlug/breadcrumbs', cachePublic, async (req, res) => {
+    try {
+        const folder = await Folder.findPublic(req.params.idOrSlug);
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+        res.json({ items: breadcrumbs(await folder.ancestors(), folder) });
+    } catch (err) {
+        console.error('Public Breadcrumbs Error:', err.message);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+router.get('/', authorize(PERMISSIONS.FOLDERS_READ), async (req, res) => {
+    try {
+        const folders = filterByParent(await visibleFolders(), req.query.parent);
+        res.json(await media.withMedia(folders));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+router.get('/:id/children', authorize(PERMISSIONS.FOLDERS_READ), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    try {
+        const folder = await Folder.findById(req.params.id).notDeleted();
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+        const children = await Folder.find({ parent: folder._id }).notDeleted().sort(SORT);
+        res.json(await media.withMedia(children));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+router.get('/:id/breadcrumbs', authorize(PERMISSIONS.FOLDERS_READ), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    try {
+        const folder = await Folder.findById(req.params.id).notDeleted();
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+        res.json(breadcrumbs(await folder.ancestors(), folder));
+    } catch (err) {
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+
+function parsePosition(position) {
+    if (position === undefined || position === null) return { position: undefined };
+    const n = Number(position);
+    return Number.isInteger(n) && n >= 0 ? { position: n } : { error: 'position must be a non-negative integer' };
+}
+
+// body: { name, parentId?, position?, slug?, description?, visibility?, publishAt?, unpublishAt? }
+// no parentId = top level; position = 0-based slot among its siblings (default: last);
+// visibility defaults to the model's (published)
+router.post('/', authorize(PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
+    const { name, parentId } = req.body;
     if (!name) return res.status(400).json({ message: 'Name is required' });
+    const { position, error: positionError } = parsePosition(req.body.position);
+    if (positionError) return res.status(400).json({ message: positionError });
     try {
-        const exists = await Folder.findOne({ name });
-        if (exists) return res.status(400).json({ message: 'Folder already exists' });
-        const folder = new Folder({ name });
+        const { parent, error } = await resolveParent(parentId);
+        if (error) return res.status(400).json({ message: error });
+
+        const exists = await siblingNameTaken(name, parent && parent._id);
+        if (exists) {
+            const message = exists.deletedAt ? 'A folder with this name is in the trash' : 'Folder already exists';
+            return res.status(400).json({ message });
+        }
+        const folder = new Folder({ name, parent: parent ? parent._id : null });
+        const invalid = await applyMetadata(folder, req.body);
+        if (invalid) return res.status(400).json({ message: invalid });
+        folder.order = await claimPosition(folder.parent, position);
         await folder.save();
-        res.status(201).json(folder);
+        audit.record(req, 'folder.create', { target: audit.target('folder', folder), after: audit.snapshot('folder', folder) });
+        const [created] = await media.withMedia([folder]);
+        res.status(201).json(created);
     } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'Folder already exists' });
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 
-router.put('/:id', auth, async (req, res) => {
+// body: any of { name, slug, description, visibility, publishAt, unpublishAt, coverImage, tags }
+// (null/empty publishAt, unpublishAt or coverImage clears it; empty slug regenerates it from the name)
+router.put('/:id', authorize(PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
     const { name } = req.body;
-    if (!name) return res.status(400).json({ message: 'Name is required' });
+    if (name !== undefined && !name) return res.status(400).json({ message: 'Name is required' });
 
 
     try {
-        const folder = await Folder.findById(req.params.id);
+        const folder = await Folder.findById(req.params.id).notDeleted();
         if (!folder) return res.status(404).json({ message: 'Folder not found' });
-        folder.name = name;
+        const before = audit.snapshot('folder', folder);
+        if (name !== undefined) {
+            if (await siblingNameTaken(name, folder.parent, folder._id)) {
+                return res.status(400).json({ message: 'Folder already exists' });
+            }
+            folder.name = name;
+        }
+        const invalid = await applyMetadata(folder, req.body);
+        if (invalid) return res.status(400).json({ message: invalid });
+        await folder.save();
+        audit.record(req, 'folder.update', { target: audit.target('folder', folder), before, after: audit.snapshot('folder', folder) });
+        const [updated] = await media.withMedia([folder]);
+        res.json(updated);
+    } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'Folder already exists' });
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+
+// body: { parentId, position? } (null or 'root' moves it to the top level; position as for create)
+// Only new uploads follow the new path; existing assets keep their stored public_id.
+router.patch('/:id/move', authorize(PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ message: 'Invalid id' });
+    if (!('parentId' in (req.body || {}))) return res.status(400).json({ message: 'parentId is required (null for top level)' });
+
+    try {
+        const folder = await Folder.findById(req.params.id).notDeleted();
+        if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+        const { parent, error } = await resolveParent(req.body.parentId);
+        if (error) return res.status(400).json({ message: error });
+
+        // cycle prevention: the new parent can't be the folder itself or anything below it
+        if (parent) {
+            const chain = [...await parent.ancestors(), parent];
+            if (chain.some(a => a._id.equals(folder._id))) {
+                return res.status(400).json({ message: 'Cannot move a folder into itself or one of its subfolders' });
+            }
+        }
+
+        if (await siblingNameTaken(folder.name, parent && parent._id, folder._id)) {
+            return res.status(400).json({ message: 'A folder with this name already exists in the destination' });
+        }
+
+        const { position, error: positionError } = parsePosition(req.body.position);
+        if (positionError) return res.status(400).json({ message: positionError });
+
+        const before = audit.snapshot('folder', folder);
+        folder.parent = parent ? parent._id : null;
+        folder.order = await claimPosition(folder.parent, position);
         await folder.save();
-        res.json(folder);
+        audit.record(req, 'folder.move', { target: audit.target('folder', folder), before, after: audit.snapshot('folder', folder) });
+        const [moved] = await media.withMedia([folder]);
+        res.json({ folder: moved, breadcrumbs: breadcrumbs(await folder.ancestors(), folder) });
     } catch (err) {
+        if (err.code === 11000) return res.status(400).json({ message: 'A folder with this name already exists in the destination' });
+        console.error('Move Error:', err.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
 
-router.delete('/:id', auth, async (req, res) => {
+// body: { folderIds: [...], parentId? } - siblings under parentId (default: top level) in their new order;
+// siblings left out keep their relative order after the listed ones
+// (also served at PATCH /api/upload/reorder-folders for older admin clients)
+const reorderFolders = [authorize(PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
     try {
-        const folder = await Folder.findById(req.params.id);
+        const { folderIds, parentId } = req.body;
+        const { folders, error, unknown } = await reorderSiblings(parentId, folderIds);
+        if (error) return res.status(400).json({ message: error, ...(unknown ? { unknown } : {}) });
+        audit.record(req, 'folder.reorder', { meta: { parentId: parentId || null, folderIds: folders.map(f => String(f._id)) } });
+        res.json({ message: 'Folders reordered', folders: await media.withMedia(folders) });
+    } catch (err) {
+        console.error('Reorder Error:', err.message);
+        res.status(500).json({ message: 'Reorder failed' });
+    }
+}];
+router.patch(['/reorder', '/reorder-folders'], ...reorderFolders);
+
+
+// moves the folder (and with it everything below it) to the trash; assets are only destroyed when purged (see routes/trash.js)
+router.delete('/:id', authorize(PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
+    try {
+        const folder = await Folder.findById(req.params.id).notDeleted();
         if (!folder) {
             return res.status(404).json({ message: 'Folder not found' });
         }
 
-        await Folder.findByIdAndDelete(req.params.id);
-        res.json({ message: 'Folder deleted successfully' });
+        const before = audit.snapshot('folder', folder);
+        folder.deletedAt = new Date();
+        await folder.save();
+        audit.record(req, 'folder.trash', { target: audit.target('folder', folder), before, after: audit.snapshot('folder', folder) });
+        res.json({ message: 'Folder moved to trash', deletedAt: folder.deletedAt });
     } catch (err) {
         console.error("Delete Error:", err.message);
         res.status(500).json({ message: 'Server error' });
     }
 });
 module.exports = router;
+module.exports.reorderFolders = reorderFolders;
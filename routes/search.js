@@ -0,0 +1,36 @@
+// routes/search.js
+// Media search across folders, mounted at /api/search (see services/search.js):
+//
+//   GET /         admins: everything not in the trash
+//   GET /public   published content only (publicly listed folders)
+//
+// Query: q, tags, type, from, to, limit, cursor.
+// Response: { items, folders, total, nextCursor } - items are media with their
+// folder { _id, name, slug }; folders are summaries of folders whose name or tags match.
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { cachePublic } = require('../middleware/httpCache');
+const { parseSearchQuery, search } = require('../services/search');
+
+function searchHandler(publicOnly) {
+  return async (req, res) => {
+    try {
+      const { options, error } = parseSearchQuery(req.query);
+      if (error) return res.status(400).json({ message: error });
+
+      const result = await search(options, { publicOnly });
+      if (result.error) return res.status(400).json({ message: result.error });
+      return res.json(result);
+    } catch (err) {
+      console.error('Search error:', err);
+      return res.status(500).json({ message: 'Search failed', error: err.message });
+    }
+  };
+}
+
+router.get('/public', cachePublic, searchHandler(true));
+router.get('/', authorize(PERMISSIONS.MEDIA_READ), searchHandler(false));
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/tags.js
+// Tag management, mounted at /api/tags. Tags are set on media with
+// PUT /api/upload/:folderId/:publicId and on folders with the folder routes.
+//
+//   GET  /         ?q=<prefix> -> { items: [{ tag, media, folders }], total }
+//   POST /rename   { from, to }           -> { tag, media, folders } (counts of changed items)
+//   POST /merge    { sources: [...], target }
+//
+// Renaming onto an existing tag merges the two.
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { invalidateOnWrite } = require('../middleware/httpCache');
+const { normalizeTag, parseTags, listTags, mergeTags } = require('../services/tags');
+const audit = require('../services/audit');
+
+// renames and merges change public folder and search responses
+router.use(invalidateOnWrite);
+
+router.get('/', authorize(PERMISSIONS.MEDIA_READ), async (req, res) => {
+  try {
+    const items = await listTags({ q: typeof req.query.q === 'string' ? req.query.q : undefined });
+    return res.json({ items, total: items.length });
+  } catch (err) {
+    console.error('List tags error:', err);
+    return res.status(500).json({ message: 'Could not list tags', error: err.message });
+  }
+});
+
+async function merge(req, res, action, sources, target) {
+  const { tags: [tag] = [], error } = parseTags([target]);
+  if (error || !tag) return res.status(400).json({ message: error || 'Target tag is required' });
+  if (sources.every((s) => s === tag)) return res.status(400).json({ message: 'Nothing to merge into the target' });
+
+  const changed = await mergeTags(sources, tag);
+  if (!changed.media && !changed.folders) return res.status(404).json({ message: 'Tag not found' });
+  audit.record(req, action, { target: { type: 'tag', id: tag, label: tag }, meta: { sources, ...changed } });
+  return res.json({ tag, ...changed });
+}
+
+router.post('/rename', authorize(PERMISSIONS.MEDIA_WRITE, PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
+  const { from, to } = req.body || {};
+  if (typeof from !== 'string' || !normalizeTag(from)) return res.status(400).json({ message: 'from is required' });
+  if (typeof to !== 'string') return res.status(400).json({ message: 'to is required' });
+  try {
+    return await merge(req, res, 'tag.rename', [normalizeTag(from)], to);
+  } catch (err) {
+    console.error('Rename tag error:', err);
+    return res.status(500).json({ message: 'Rename failed', error: err.message });
+  }
+});
+
+router.post('/merge', authorize(PERMISSIONS.MEDIA_WRITE, PERMISSIONS.FOLDERS_WRITE), async (req, res) => {
+  const { sources, target } = req.body || {};
+  const parsed = parseTags(Array.isArray(sources) ? sources : []);
+  if (parsed.error) return res.status(400).json({ message: parsed.error });
+  if (!parsed.tags.length) return res.status(400).json({ message: 'sources must be a non-empty array of tags' });
+  if (typeof target !== 'string') return res.status(400).json({ message: 'target is required' });
+  try {
+    return await merge(req, res, 'tag.merge', parsed.tags, target);
+  } catch (err) {
+    console.error('Merge tags error:', err);
+    return res.status(500).json({ message: 'Merge failed', error: err.message });
+  }
+});
+
+module.exports = router;
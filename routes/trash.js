@@ -0,0 +1,209 @@
+// routes/trash.js
+// Trashed folders and media: list, restore and permanently purge.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Folder = require('../models/folder');
+const Media = require('../models/Media');
+const { ensureMigrated, withMedia } = require('../services/media');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { purgeFolder, purgeMedia } = require('../services/trash');
+const { invalidateOnWrite } = require('../middleware/httpCache');
+const audit = require('../services/audit');
+
+// restoring brings content back onto the public site
+router.use(invalidateOnWrite);
+
+// number of images/videos (trashed or not) per folder id
+async function mediaCounts(folderIds) {
+  const rows = await Media.aggregate([
+    { $match: { folder: { $in: folderIds } } },
+    { $group: { _id: { folder: '$folder', type: '$type' }, count: { $sum: 1 } } },
+  ]);
+  const counts = new Map();
+  for (const { _id, count } of rows) {
+    const key = String(_id.folder);
+    const entry = counts.get(key) || { imageCount: 0, videoCount: 0 };
+    entry[_id.type === 'video' ? 'videoCount' : 'imageCount'] = count;
+    counts.set(key, entry);
+  }
+  return counts;
+}
+
+function folderSummary(folder, counts) {
+  return {
+    _id: folder._id,
+    name: folder.name,
+    deletedAt: folder.deletedAt,
+    ...(counts.get(String(folder._id)) || { imageCount: 0, videoCount: 0 }),
+  };
+}
+
+// trashed media whose folder is not trashed itself, newest first
+async function trashedMediaInLiveFolders() {
+  const items = await Media.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  const folders = await Folder.find({ _id: { $in: [...new Set(items.map((m) => String(m.folder)))] }, deletedAt: null })
+    .select('name');
+  const byId = new Map(folders.map((f) => [String(f._id), f]));
+  return items.filter((m) => byId.has(String(m.folder))).map((m) => ({ item: m, folder: byId.get(String(m.folder)) }));
+}
+
+/**
+ * GET /
+ * Returns trashed folders and the trashed media of folders that are not themselves trashed.
+ */
+router.get('/', authorize(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  try {
+    await ensureMigrated();
+    const folders = await Folder.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+    const counts = await mediaCounts(folders.map((f) => f._id));
+
+    const media = (await trashedMediaInLiveFolders()).map(({ item, folder }) => ({
+      folderId: folder._id,
+      folderName: folder.name,
+      type: item.type,
+      item: item.toLegacyJSON(),
+    }));
+
+    return res.json({ folders: folders.map((f) => folderSummary(f, counts)), media });
+  } catch (err) {
+    console.error('Trash list error:', err);
+    return res.status(500).json({ message: 'Could not fetch trash', error: err.message });
+  }
+});
+
+// POST /folders/:id/restore
+router.post('/folders/:id/restore', authorize(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid id' });
+
+  try {
+    const folder = await Folder.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!folder) return res.status(404).json({ message: 'Folder not found in trash' });
+
+    const before = audit.snapshot('folder', folder);
+    folder.deletedAt = null;
+    await folder.save();
+    audit.record(req, 'folder.restore', { target: audit.target('folder', folder), before, after: audit.snapshot('folder', folder) });
+    const [restored] = await withMedia([folder]);
+    return res.json({ message: 'Folder restored', folder: restored });
+  } catch (err) {
+    console.error('Trash restore folder error:', err);
+    return res.status(500).json({ message: 'Restore failed', error: err.message });
+  }
+});
+
+// POST /media/:folderId/:publicId/restore
+router.post('/media/:folderId/:publicId/restore', authorize(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  const { folderId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(folderId)) return res.status(400).json({ message: 'Invalid folder id' });
+  const publicId = decodeURIComponent(req.params.publicId);
+
+  try {
+    const folder = await Folder.findById(folderId);
+    if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+    await ensureMigrated([folder._id]);
+    const item = await Media.findOneAndUpdate(
+      { folder: folder._id, public_id: publicId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ message: 'Media not found in trash' });
+    audit.record(req, 'media.restore', { target: audit.target('media', item), meta: { folderId: String(folder._id) } });
+
+    return res.json({
+      message: 'Media restored',
+      // media inside a trashed folder only reappears once the folder is restored too
+      folderDeleted: Boolean(folder.deletedAt),
+      item: item.toLegacyJSON(),
+    });
+  } catch (err) {
+    console.error('Trash restore media error:', err);
+    return res.status(500).json({ message: 'Restore failed', error: err.message });
+  }
+});
+
+// DELETE /folders/:id -> permanently removes a trashed folder and all of its assets
+router.delete('/folders/:id', authorize(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid id' });
+
+  try {
+    const folder = await Folder.findOne({ _id: id, deletedAt: { $ne: null } });
+    if (!folder) return res.status(404).json({ message: 'Folder not found in trash' });
+
+    const { purged, failed } = await purgeFolder(folder);
+    if (!purged) {
+      return res.status(502).json({ message: 'Some assets could not be deleted from storage; folder kept in trash', failed });
+    }
+    audit.record(req, 'folder.purge', { target: audit.target('folder', folder), before: audit.snapshot('folder', folder) });
+    return res.json({ message: 'Folder permanently deleted' });
+  } catch (err) {
+    console.error('Trash purge folder error:', err);
+    return res.status(500).json({ message: 'Purge failed', error: err.message });
+  }
+});
+
+// DELETE /media/:folderId/:publicId -> permanently removes one trashed image/video
+router.delete('/media/:folderId/:publicId', authorize(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  const { folderId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(folderId)) return res.status(400).json({ message: 'Invalid folder id' });
+  const publicId = decodeURIComponent(req.params.publicId);
+
+  try {
+    const folder = await Folder.findById(folderId);
+    if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+    await ensureMigrated([folder._id]);
+    const item = await Media.findOne({ folder: folder._id, public_id: publicId, deletedAt: { $ne: null } });
+    const { purged, failed } = await purgeMedia(folder, [publicId]);
+    if (!purged && !failed.length) return res.status(404).json({ message: 'Media not found in trash' });
+    if (failed.length) {
+      return res.status(502).json({ message: 'Asset could not be deleted from storage; kept in trash', failed });
+    }
+    audit.record(req, 'media.purge', {
+      target: item ? audit.target('media', item) : { type: 'media', label: publicId },
+      before: item && audit.snapshot('media', item),
+    });
+    return res.json({ message: 'Media permanently deleted' });
+  } catch (err) {
+    console.error('Trash purge media error:', err);
+    return res.status(500).json({ message: 'Purge failed', error: err.message });
+  }
+});
+
+// DELETE / -> empties the whole trash
+router.delete('/', authorize(PERMISSIONS.TRASH_MANAGE), async (req, res) => {
+  try {
+    const failed = [];
+    let foldersPurged = 0;
+    let mediaPurged = 0;
+
+    await ensureMigrated();
+    const folders = await Folder.find({ deletedAt: { $ne: null } });
+    for (const folder of folders) {
+      const result = await purgeFolder(folder);
+      if (result.purged) foldersPurged++;
+      failed.push(...result.failed.map((f) => ({ folderId: folder._id, ...f })));
+    }
+
+    const withTrashedMedia = new Map();
+    for (const { folder } of await trashedMediaInLiveFolders()) withTrashedMedia.set(String(folder._id), folder);
+    for (const folder of withTrashedMedia.values()) {
+      const result = await purgeMedia(folder);
+      mediaPurged += result.purged;
+      failed.push(...result.failed.map((f) => ({ folderId: folder._id, ...f })));
+    }
+
+    audit.record(req, 'trash.empty', { meta: { foldersPurged, mediaPurged, failed: failed.length } });
+    const status = failed.length ? 502 : 200;
+    return res.status(status).json({ message: failed.length ? 'Trash partially emptied' : 'Trash emptied', foldersPurged, mediaPurged, failed });
+  } catch (err) {
+    console.error('Trash empty error:', err);
+    return res.status(500).json({ message: 'Purge failed', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,197 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 const fs = require("fs");
-const cloudinary = require("cloudinary").v2;
 const Folder = require("../models/folder");
-const auth = require("../middleware/auth");
+const Media = require("../models/Media");
+const media = require("../services/media");
+const { authorize } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+const storage = require("../services/storage");
+const { parseBulkRequest, moveItems, copyItems, trashItems } = require("../services/mediaBulk");
+const { cachePublic, invalidateOnWrite } = require("../middleware/httpCache");
+const validation = require("../services/uploadValidation");
+const { uploadFiles } = require("../services/mediaUpload");
+const uploadQueue = require("../services/uploadQueue");
+const duplicates = require("../services/duplicates");
+const { parseTags } = require("../services/tags");
+const audit = require("../services/audit");
+const { reorderFolders } = require("./folder");
+
+// any successful upload/rename/delete/reorder clears cached public responses
+router.use(invalidateOnWrite);
+
+// multer temp storage; content checks happen in services/uploadValidation.js
+const upload = multer({ dest: "uploads/", limits: { fileSize: validation.MAX_FILE_BYTES } });
+
+const MULTER_ERROR_STATUS = { LIMIT_FILE_SIZE: 413 };
 
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+/**
+ * Multipart parsing for the upload route. Every temp file is removed once the
+ * response is done, whatever happened in between; multer errors become 4xx.
+ */
+function receiveFiles(req, res, next) {
+  res.on("close", () => {
+    for (const file of Object.values(req.files || {}).flat()) {
+      fs.promises.unlink(file.path).catch((err) => {
+        if (err.code !== "ENOENT") console.warn("Failed to remove temp file:", file.path, err.message);
+      });
+    }
+  });
+
+  upload.fields([
+    { name: "images", maxCount: validation.MAX_COUNT.image },
+    { name: "videos", maxCount: validation.MAX_COUNT.video },
+    // Backwards-compat: accept generic 'file'
+    { name: "file", maxCount: validation.MAX_COUNT.image + validation.MAX_COUNT.video },
+  ])(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = MULTER_ERROR_STATUS[err.code] || 400;
+      return res.status(status).json({ message: err.message, field: err.field });
+    }
+    return next(err);
+  });
+}
+
+/**
+ * Turns the received files into upload entries ({ file, type, label?, title? }),
+ * images first. Files are classified by their content; one bad file rejects the
+ * whole request (answered here, returning null).
+ */
+async function validatedEntries(req, res) {
+  const { images: imageFiles, videos: videoFiles, rejected } = await validation.classifyFiles(req.files);
+  if (rejected.length) {
+    res.status(validation.rejectionStatus(rejected)).json({
+      message: "Some files were rejected",
+      rejected: rejected.map(({ field, file, reason }) => ({ field, file, reason })),
+    });
+    return null;
+  }
+
+  // Normalize image labels: accept imageLabels, labels (legacy) or labels[]
+  let imageLabels = req.body.imageLabels ?? req.body.labels ?? req.body["labels[]"] ?? req.body["imageLabels[]"];
+  if (imageLabels !== undefined && typeof imageLabels === "string") imageLabels = [imageLabels];
+
+  // Normalize video titles
+  let videoTitles = req.body.videoTitles ?? req.body["videoTitles[]"];
+  if (videoTitles !== undefined && typeof videoTitles === "string") videoTitles = [videoTitles];
+
+  return [
+    ...imageFiles.map((file, i) => ({
+      file,
+      type: "image",
+      label: Array.isArray(imageLabels) ? imageLabels[i] : imageLabels, // may be undefined
+    })),
+    ...videoFiles.map((file, i) => ({
+      file,
+      type: "video",
+      title: Array.isArray(videoTitles) ? videoTitles[i] : videoTitles, // may be undefined
+    })),
+  ];
+}
+
+/**
+ * Applies the request's duplicate policy (duplicates=allow|skip|reject, duplicateScope=folder|global,
+ * from the query string or form fields) to the entries; see services/duplicates.js.
+ * Returns the entries to upload (skipped duplicates are marked `skipped`), or null when
+ * the request was answered here (bad options, or 409 for reject).
+ */
+async function applyDuplicatePolicy(req, res, folder, entries) {
+  const { mode, scope, error } = duplicates.parseDuplicateOptions({
+    duplicates: req.query.duplicates ?? req.body.duplicates,
+    duplicateScope: req.query.duplicateScope ?? req.body.duplicateScope,
+  });
+  if (error) {
+    res.status(400).json({ message: error });
+    return null;
+  }
+
+  const found = await duplicates.annotateDuplicates(folder, entries, { scope });
+  if (mode === "allow" || found.length === 0) return entries;
+
+  if (mode === "reject") {
+    res.status(409).json({
+      message: "Some files are duplicates of existing media",
+      duplicates: found.map((e) => ({ file: e.file.originalname, type: e.type, duplicateOf: e.duplicateOf })),
+    });
+    return null;
+  }
+
+  for (const entry of found) entry.skipped = true;
+  return entries.filter((e) => !e.skipped);
+}
+
+function skippedResult(entry) {
+  return { file: entry.file.originalname, type: entry.type, status: "skipped", duplicateOf: entry.duplicateOf };
+}
+
+/**
+ * GET /duplicates
+ * Maintenance: groups of active media with identical content.
+ * Query: scope=global (default; same file anywhere) or folder (same file twice in one folder),
+ * folderId (only that folder's media), limit (default 50, max 500), skip.
+ * Response: { items: [{ sha256, folderId?, count, items: [{ _id, folderId, folderName, type, url, public_id, createdAt }] }], total }
+ * Media uploaded before hashes were recorded is only covered after `npm run hash:media`.
+ */
+router.get("/duplicates", authorize(PERMISSIONS.MEDIA_READ), async (req, res) => {
+  try {
+    const scope = req.query.scope || "global";
+    if (!duplicates.SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `scope must be one of: ${duplicates.SCOPES.join(", ")}` });
+    }
+    const { folderId } = req.query;
+    if (folderId !== undefined && !media.isValidId(folderId)) return res.status(400).json({ message: "Invalid folderId" });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 500);
+    const skip = Math.max(parseInt(req.query.skip || "0", 10) || 0, 0);
+    return res.json(await duplicates.listDuplicates({ scope, folderId, limit, skip }));
+  } catch (err) {
+    console.error("List duplicates error:", err);
+    return res.status(500).json({ message: "Could not list duplicates", error: err.message });
+  }
 });
 
-// multer temp storage
-const upload = multer({ dest: "uploads/" });
+/**
+ * Bulk operations on media across folders. Items are addressed by their _id.
+ * POST /bulk/move   { ids: [...], targetFolderId }  (assets are relocated under the target's storage path)
+ * POST /bulk/copy   { ids: [...], targetFolderId }
+ * POST /bulk/delete { ids: [...] }                  (moves to trash)
+ * Response: { results: [{ id, status, item?, error? }], summary: { succeeded, skipped, failed } }
+ * where status is moved | copied | trashed | skipped | failed.
+ */
+const bulkOperations = {
+  move: { needsTarget: true, action: "media.move", run: (ids, target) => moveItems(ids, target) },
+  copy: { needsTarget: true, action: "media.copy", run: (ids, target) => copyItems(ids, target) },
+  delete: { needsTarget: false, action: "media.trash", run: (ids) => trashItems(ids) },
+};
+
+router.post("/bulk/:operation", authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
+  const operation = bulkOperations[req.params.operation];
+  if (!operation) return res.status(404).json({ message: "Unknown bulk operation" });
+
+  try {
+    const { ids, target, status, ...error } = await parseBulkRequest(req.body, { needsTarget: operation.needsTarget });
+    if (status) return res.status(status).json(error);
+
+    const result = await operation.run(ids, target);
+    for (const r of result.results) {
+      if (!["moved", "copied", "trashed"].includes(r.status)) continue;
+      audit.record(req, operation.action, {
+        target: { type: "media", id: String(r.id), label: r.item && r.item.public_id },
+        meta: {
+          bulk: true,
+          ...(r.from ? { fromFolderId: String(r.from) } : {}),
+          ...(target ? { targetFolderId: String(target._id) } : {}),
+          ...(r.status === "copied" ? { copyId: String(r.item._id) } : {}),
+        },
+      });
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error(`Bulk ${req.params.operation} error:`, err);
+    return res.status(500).json({ message: "Bulk operation failed", error: err.message });
+  }
+});
 
 /**
  * POST /:folderId
@@ -24,13 +203,21 @@ const upload = multer({ dest: "uploads/" });
  * - videoTitles: titles for videos (array or single string)
  *
  * Either images or videos or both can be provided. Nothing is mandatory.
+ * Files are checked by content, format allow-list and per-type size/count
+ * limits (services/uploadValidation.js); rejected files are listed in a 4xx
+ * response and nothing is uploaded.
+ *
+ * Duplicates (same SHA-256 as existing media) are handled per request:
+ * - duplicates: allow (default) | skip | reject (409 listing the matches, nothing uploaded)
+ * - duplicateScope: folder (default) | global
+ * Results of duplicate files carry duplicateOf: [{ _id, folderId, folderName, type, url, public_id }]
+ * (or [{ file }] for a file repeated within the request).
+ *
+ * Response: { uploaded: { images, videos }, results: [{ file, type, status, item?, error?, duplicateOf? }],
+ *             summary: { succeeded, skipped, failed } } - 200, or 207 when some files failed (502 when all did).
  */
-router.post("/:folderId", auth, upload.fields([
-  { name: "images", maxCount: 20 },
-  { name: "videos", maxCount: 10 },
-  // Backwards-compat: accept generic 'file'
-  { name: "file", maxCount: 20 }
-]), async (req, res) => {
+router.post("/:folderId", authorize(PERMISSIONS.MEDIA_WRITE), receiveFiles, async (req, res) => {
+  req.files = req.files || {};
   console.log("FILES RECEIVED:", Object.keys(req.files).reduce((acc, k) => {
     acc[k] = req.files[k].length;
     return acc;
@@ -39,104 +226,100 @@ router.post("/:folderId", auth, upload.fields([
 
   const { folderId } = req.params;
   try {
-    const folder = await Folder.findById(folderId);
+    const folder = await Folder.findById(folderId).notDeleted();
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    // Normalize image labels: accept imageLabels, labels (legacy) or labels[]
-    let imageLabels = req.body.imageLabels ?? req.body.labels ?? req.body["labels[]"] ?? req.body["imageLabels[]"];
-    if (imageLabels !== undefined && typeof imageLabels === "string") imageLabels = [imageLabels];
-
-    // Normalize video titles
-    let videoTitles = req.body.videoTitles ?? req.body["videoTitles[]"];
-    if (videoTitles !== undefined && typeof videoTitles === "string") videoTitles = [videoTitles];
-
-    const results = { images: [], videos: [] };
-
-    // Helper to clean temp files
-    const cleanupFile = (path) => {
-      try {
-        if (fs.existsSync(path)) fs.unlinkSync(path);
-      } catch (e) {
-        console.warn("Failed to remove temp file:", path, e);
-      }
-    };
-
-    // Handle images array:
-    // If client used 'file' for backwards compatibility, we'll treat files whose mimetype starts with 'image/' as images
-    const imageFiles = [
-      ...(req.files.images || []),
-      // include files from generic 'file' that are images
-      ...((req.files.file || []).filter(f => f.mimetype && f.mimetype.startsWith("image/"))),
-    ];
-
-    for (let i = 0; i < imageFiles.length; i++) {
-      const file = imageFiles[i];
-      const label = Array.isArray(imageLabels) ? imageLabels[i] : imageLabels; // may be undefined
-
-      // upload to Cloudinary with resource_type image
-      const uploaded = await cloudinary.uploader.upload(file.path, {
-        folder: `koovappady/${folder.name}`,
-        resource_type: "image",
+    const entries = await validatedEntries(req, res);
+    if (!entries) return;
+    const toUpload = await applyDuplicatePolicy(req, res, folder, entries);
+    if (!toUpload) return;
+
+    // uploads run in parallel (bounded); a failed file doesn't stop the others
+    const results = await uploadFiles(folder, toUpload);
+
+    const uploaded = { images: [], videos: [] };
+    const report = results.map((r) => {
+      if (r.status !== "uploaded") return r;
+      audit.record(req, "media.upload", {
+        target: audit.target("media", r.item),
+        after: audit.snapshot("media", r.item),
+        meta: { file: r.file, ...(r.duplicateOf ? { duplicateOf: r.duplicateOf } : {}) },
       });
-
-      const imageObj = {
-        url: uploaded.secure_url,
-        public_id: uploaded.public_id,
-        ...(label !== undefined ? { label } : {}),
-      };
-
-      folder.images.push(imageObj);
-      results.images.push(imageObj);
-
-      cleanupFile(file.path);
-    }
-
-    // Handle video files:
-    const videoFiles = [
-      ...(req.files.videos || []),
-      // include files from generic 'file' that are videos
-      ...((req.files.file || []).filter(f => f.mimetype && f.mimetype.startsWith("video/"))),
-    ];
-
-    for (let i = 0; i < videoFiles.length; i++) {
-      const file = videoFiles[i];
-      const title = Array.isArray(videoTitles) ? videoTitles[i] : videoTitles; // may be undefined
-
-      // upload to Cloudinary with resource_type video
-      const uploaded = await cloudinary.uploader.upload(file.path, {
-        folder: `koovappady/${folder.name}`,
-        resource_type: "video",
-      });
-
-      const videoObj = {
-        url: uploaded.secure_url,
-        public_id: uploaded.public_id,
-        ...(title !== undefined ? { title } : {}),
-      };
-
-      folder.videos.push(videoObj);
-      results.videos.push(videoObj);
-
-      cleanupFile(file.path);
-    }
-
-    await folder.save();
-    return res.json({ uploaded: results });
+      const item = r.item.toLegacyJSON();
+      uploaded[r.type === "video" ? "videos" : "images"].push(item);
+      return { ...r, item };
+    });
+    const failed = results.filter((r) => r.status === "failed").length;
+
+    // 207 when some files failed, 502 when all of them did
+    const status = failed === 0 ? 200 : failed === results.length ? 502 : 207;
+    // skipped duplicates keep their place in the request order
+    let next = 0;
+    return res.status(status).json({
+      uploaded,
+      results: entries.map((entry) => (entry.skipped ? skippedResult(entry) : report[next++])),
+      summary: { succeeded: results.length - failed, skipped: entries.length - results.length, failed },
+    });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Upload failed", error: err.message });
   }
 });
 
+/**
+ * POST /:folderId/jobs
+ * Same form fields, validation and duplicate options as POST /:folderId, but the
+ * files are queued and uploaded in the background (services/uploadQueue.js).
+ * Response: 202 { job, statusUrl, eventsUrl, duplicates? } - follow progress at /api/upload/jobs/:id
+ * or its Server-Sent Events stream /api/upload/jobs/:id/events. duplicates lists the files that
+ * matched existing media (status skipped, or queued when duplicates=allow); when every file was
+ * skipped nothing is queued and the response is 200 { job: null, duplicates }.
+ */
+router.post("/:folderId/jobs", authorize(PERMISSIONS.MEDIA_WRITE), receiveFiles, async (req, res) => {
+  req.files = req.files || {};
+  try {
+    const folder = await Folder.findById(req.params.folderId).notDeleted();
+    if (!folder) return res.status(404).json({ message: "Folder not found" });
+
+    const entries = await validatedEntries(req, res);
+    if (!entries) return;
+    if (entries.length === 0) return res.status(400).json({ message: "No files to upload" });
+    const toUpload = await applyDuplicatePolicy(req, res, folder, entries);
+    if (!toUpload) return;
+
+    const found = entries
+      .filter((e) => e.duplicateOf)
+      .map((e) => (e.skipped ? skippedResult(e) : { file: e.file.originalname, type: e.type, status: "queued", duplicateOf: e.duplicateOf }));
+    if (toUpload.length === 0) return res.json({ job: null, duplicates: found });
+
+    const job = await uploadQueue.enqueue(folder, toUpload, req.currentAdmin.email);
+    // the files are uploaded later by the worker; the job keeps the per-file outcome
+    audit.record(req, "media.upload_queued", {
+      target: audit.target("folder", folder),
+      meta: { jobId: String(job._id), files: toUpload.map((e) => e.file.originalname) },
+    });
+    const statusUrl = `${req.baseUrl}/jobs/${job._id}`;
+    return res.status(202).location(statusUrl).json({
+      job: uploadQueue.jobJSON(job),
+      statusUrl,
+      eventsUrl: `${statusUrl}/events`,
+      ...(found.length ? { duplicates: found } : {}),
+    });
+  } catch (err) {
+    console.error("Queue upload error:", err);
+    return res.status(500).json({ message: "Could not queue upload", error: err.message });
+  }
+});
+
 /**
  * GET (authenticated) - returns folder images and videos
  */
-router.get("/:folderId", auth, async (req, res) => {
+router.get("/:folderId", authorize(PERMISSIONS.MEDIA_READ), async (req, res) => {
   try {
-    const folder = await Folder.findById(req.params.folderId);
+    const folder = await Folder.findById(req.params.folderId).notDeleted();
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    return res.json({ images: folder.images, videos: folder.videos });
+    return res.json(await media.legacyMedia(folder._id));
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Could not fetch media" });
@@ -145,13 +328,15 @@ router.get("/:folderId", auth, async (req, res) => {
 
 /**
  * GET public - returns folder images and videos without auth
+ * :folderId may be the folder's id or its slug. Drafts and folders outside their
+ * publishAt/unpublishAt window are not found.
  */
-router.get("/:folderId/public", async (req, res) => {
+router.get("/:folderId/public", cachePublic, async (req, res) => {
   try {
-    const folder = await Folder.findById(req.params.folderId);
+    const folder = await Folder.findPublic(req.params.folderId);
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    return res.json({ images: folder.images, videos: folder.videos });
+    return res.json(await media.legacyMedia(folder._id));
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Could not fetch media" });
@@ -160,38 +345,33 @@ router.get("/:folderId/public", async (req, res) => {
 
 /**
  * DELETE /:folderId/:publicId
- * Deletes image or video from Cloudinary and removes from folder.
+ * Moves an image or video to the trash. The stored asset is kept until the item
+ * is purged from the trash (see routes/trash.js).
  * The endpoint will automatically check whether the publicId belongs to an image or video in this folder.
  */
-router.delete("/:folderId/:publicId", auth, async (req, res) => {
+router.delete("/:folderId/:publicId", authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
   try {
     const { folderId } = req.params;
     const publicId = decodeURIComponent(req.params.publicId);
 
-    const folder = await Folder.findById(folderId);
+    const folder = await Folder.findById(folderId).notDeleted();
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    // find in images
-    const imgIndex = folder.images.findIndex((img) => img.public_id === publicId);
-    if (imgIndex !== -1) {
-      // delete image
-      await cloudinary.uploader.destroy(publicId, { resource_type: "image" });
-      folder.images.splice(imgIndex, 1);
-      await folder.save();
-      return res.json({ message: "Image deleted successfully", images: folder.images, videos: folder.videos });
-    }
-
-    // find in videos
-    const vidIndex = folder.videos.findIndex((v) => v.public_id === publicId);
-    if (vidIndex !== -1) {
-      await cloudinary.uploader.destroy(publicId, { resource_type: "video" });
-      folder.videos.splice(vidIndex, 1);
-      await folder.save();
-      return res.json({ message: "Video deleted successfully", images: folder.images, videos: folder.videos });
-    }
+    await media.ensureMigrated([folder._id]);
+    const item = await Media.findOneAndUpdate(
+      { folder: folder._id, public_id: publicId, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+    if (!item) return res.status(404).json({ message: "Media not found in folder" });
+    audit.record(req, "media.trash", {
+      target: audit.target("media", item),
+      before: { ...audit.snapshot("media", item), deletedAt: null },
+      after: audit.snapshot("media", item),
+    });
 
-    // not found
-    return res.status(404).json({ message: "Media not found in folder" });
+    const message = item.type === "video" ? "Video moved to trash" : "Image moved to trash";
+    return res.json({ message, ...(await media.legacyMedia(folder._id)) });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Delete failed", error: err.message });
@@ -202,57 +382,53 @@ router.delete("/:folderId/:publicId", auth, async (req, res) => {
  * PUT /:folderId/:publicId
  * Update metadata or rename resource.
  * Body options:
- * - newName: new public_id (will rename resource on Cloudinary)
+ * - newName: new public_id (will rename resource in storage)
  * - newLabel: for images (set label; send empty string to clear)
  * - newTitle: for videos (set title; send empty string to clear)
+ * - tags: array or comma-separated string (replaces the item's tags; null or empty clears them)
  *
  * The route will detect whether the publicId belongs to an image or video in this folder.
  */
-router.put("/:folderId/:publicId", auth, async (req, res) => {
+router.put("/:folderId/:publicId", authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
   try {
     const { folderId } = req.params;
     const publicId = decodeURIComponent(req.params.publicId);
-    const { newName, newLabel, newTitle } = req.body;
+    const { newName, newLabel, newTitle, tags } = req.body;
+    const parsedTags = tags !== undefined ? parseTags(tags) : null;
+    if (parsedTags && parsedTags.error) return res.status(400).json({ message: parsedTags.error });
 
-    const folder = await Folder.findById(folderId);
+    const folder = await Folder.findById(folderId).notDeleted();
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    // check images
-    let imageIndex = folder.images.findIndex((img) => img.public_id === publicId);
-    if (imageIndex !== -1) {
-      // rename on cloudinary if requested
-      if (newName) {
-        const renamed = await cloudinary.uploader.rename(publicId, newName, { resource_type: "image" });
-        folder.images[imageIndex].public_id = renamed.public_id;
-        folder.images[imageIndex].url = renamed.secure_url;
+    const item = await media.findInFolder(folder._id, publicId);
+    if (!item) return res.status(404).json({ message: "Media not found" });
+
+    const update = {};
+    // rename in storage if requested
+    if (newName) {
+      const renamed = await storage.rename(publicId, newName, { resourceType: item.type });
+      update.public_id = renamed.public_id;
+      update.url = renamed.url;
+      if (item.type === "image" && folder.coverImage === publicId) {
+        await Folder.updateOne({ _id: folder._id, coverImage: publicId }, { $set: { coverImage: renamed.public_id } });
       }
-
-      if (newLabel !== undefined) {
-        folder.images[imageIndex].label = newLabel; // allow empty string
-      }
-
-      await folder.save();
-      return res.json({ message: "Image updated", image: folder.images[imageIndex] });
     }
-
-    // check videos
-    let videoIndex = folder.videos.findIndex((v) => v.public_id === publicId);
-    if (videoIndex !== -1) {
-      if (newName) {
-        const renamed = await cloudinary.uploader.rename(publicId, newName, { resource_type: "video" });
-        folder.videos[videoIndex].public_id = renamed.public_id;
-        folder.videos[videoIndex].url = renamed.secure_url;
-      }
-
-      if (newTitle !== undefined) {
-        folder.videos[videoIndex].title = newTitle;
-      }
-
-      await folder.save();
-      return res.json({ message: "Video updated", video: folder.videos[videoIndex] });
-    }
-
-    return res.status(404).json({ message: "Media not found" });
+    if (item.type === "image" && newLabel !== undefined) update.label = newLabel; // allow empty string
+    if (item.type === "video" && newTitle !== undefined) update.title = newTitle;
+    const changes = { $set: update };
+    if (parsedTags && parsedTags.tags.length) update.tags = parsedTags.tags;
+    else if (parsedTags) changes.$unset = { tags: 1 };
+
+    const updated = await Media.findByIdAndUpdate(item._id, changes, { new: true });
+    if (!updated) return res.status(404).json({ message: "Media not found" });
+    audit.record(req, newName ? "media.rename" : "media.update", {
+      target: audit.target("media", updated),
+      before: audit.snapshot("media", item),
+      after: audit.snapshot("media", updated),
+    });
+    return item.type === "video"
+      ? res.json({ message: "Video updated", video: updated.toLegacyJSON() })
+      : res.json({ message: "Image updated", image: updated.toLegacyJSON() });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ message: "Update failed", error: err.message });
@@ -262,88 +438,32 @@ router.put("/:folderId/:publicId", auth, async (req, res) => {
 // PATCH /folders/:folderId/reorder
 // body: { imagesOrder: ["public_id1","public_id2",...], videosOrder: ["vidPublicId1", ...] }
 
-router.patch("/:folderId/reorder", auth, async (req, res) => {
+router.patch("/:folderId/reorder", authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
   try {
     const { folderId } = req.params;
     const { imagesOrder, videosOrder } = req.body;
 
-    const folder = await Folder.findById(folderId);
+    const folder = await Folder.findById(folderId).notDeleted();
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    // reorder images if provided
-    if (Array.isArray(imagesOrder)) {
-      const map = new Map(folder.images.map(img => [img.public_id, img]));
-      const newImages = [];
-      for (const pid of imagesOrder) {
-        if (map.has(pid)) newImages.push(map.get(pid));
-      }
-      // optional: append any items that were omitted in imagesOrder at the end
-      for (const img of folder.images) if (!imagesOrder.includes(img.public_id)) newImages.push(img);
-
-      folder.images = newImages;
-    }
-
-    // reorder videos if provided
-    if (Array.isArray(videosOrder)) {
-      const mapV = new Map(folder.videos.map(v => [v.public_id, v]));
-      const newVideos = [];
-      for (const pid of videosOrder) {
-        if (mapV.has(pid)) newVideos.push(mapV.get(pid));
-      }
-      for (const v of folder.videos) if (!videosOrder.includes(v.public_id)) newVideos.push(v);
-
-      folder.videos = newVideos;
-    }
+    // items left out keep their relative order after the listed ones
+    if (Array.isArray(imagesOrder)) await media.reorder(folder._id, "image", imagesOrder);
+    if (Array.isArray(videosOrder)) await media.reorder(folder._id, "video", videosOrder);
+    audit.record(req, "media.reorder", {
+      target: audit.target("folder", folder),
+      meta: { ...(Array.isArray(imagesOrder) ? { imagesOrder } : {}), ...(Array.isArray(videosOrder) ? { videosOrder } : {}) },
+    });
 
-    await folder.save();
-    return res.json({ message: "Reordered", images: folder.images, videos: folder.videos });
+    return res.json({ message: "Reordered", ...(await media.legacyMedia(folder._id)) });
   } catch (err) {
     console.error("Reorder error:", err);
     return res.status(500).json({ message: "Reorder failed", error: err.message });
   }
 });
 
-// PATCH /api/folders/reorder-folders
-router.patch('/reorder-folders', auth, async (req, res) => {
-  try {
-    const { folderIds } = req.body;
-
-    if (!Array.isArray(folderIds)) {
-      return res.status(400).json({ message: 'folderIds array required' });
-    }
-
-    if (folderIds.length === 0) {
-      return res.status(400).json({ message: 'folderIds cannot be empty' });
-    }
-
-    if (folderIds.length > 5000) {
-      return res.status(400).json({ message: 'Too many folderIds' });
-    }
-
-    // Defensive logging to help debug the "Update document requires atomic operators" error
-    console.log('Reorder request folderIds length:', folderIds.length);
-    // show first 20 ids to avoid huge logs
-    console.log('folderIds sample:', folderIds.slice(0, 20));
-
-    // Use explicit updateOne calls (each uses $set). This is easier to debug and avoids bulkWrite quirks.
-    // Use Promise.all for parallelism but limit concurrency if needed for very large lists.
-    const updates = folderIds.map((id, idx) => {
-      return Folder.updateOne(
-        { _id: id },
-        { $set: { order: idx } } // <-- atomic operator ensured here
-      ).exec();
-    });
-
-    await Promise.all(updates);
-
-    // Return updated folders sorted by order
-    const folders = await Folder.find().sort({ order: 1, createdAt: 1 });
-    return res.json({ message: 'Folders reordered', folders });
-  } catch (err) {
-    console.error('Reorder folders error (route):', err);
-    return res.status(500).json({ message: 'Reorder failed', error: err.message });
-  }
-});
+// PATCH /api/upload/reorder-folders
+// Kept for older admin clients; the handler lives on the folders router (PATCH /api/folders/reorder).
+router.patch("/reorder-folders", ...reorderFolders);
 
 module.exports = router;
 
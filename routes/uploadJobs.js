@@ -0,0 +1,127 @@
+// routes/uploadJobs.js
+// Background upload jobs (queued with POST /api/upload/:folderId/jobs), mounted
+// at /api/upload/jobs:
+//
+//   GET  /:id         -> job status with per-file results
+//   GET  /:id/events  -> Server-Sent Events: `job` (snapshot), `item` (a file changed
+//                        state; uploaded ones carry the created media `item`), `done`
+//   POST /:id/retry   -> re-queues the failed files of a finished job
+//
+// EventSource can't send an Authorization header, so the events stream also
+// accepts the access token as ?access_token=.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const UploadJob = require('../models/UploadJob');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const uploadQueue = require('../services/uploadQueue');
+const audit = require('../services/audit');
+
+const HEARTBEAT_MS = 15 * 1000;
+
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+async function loadJob(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Upload job not found' });
+    return null;
+  }
+  const job = await UploadJob.findById(req.params.id);
+  if (!job) res.status(404).json({ message: 'Upload job not found' });
+  return job;
+}
+
+router.get('/:id', authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    return res.json(uploadQueue.jobJSON(job));
+  } catch (err) {
+    console.error('Upload job fetch error:', err);
+    return res.status(500).json({ message: 'Could not fetch upload job', error: err.message });
+  }
+});
+
+router.get('/:id/events', tokenFromQuery, authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
+  let job;
+  try {
+    job = await loadJob(req, res);
+    if (!job) return;
+  } catch (err) {
+    console.error('Upload job events error:', err);
+    return res.status(500).json({ message: 'Could not fetch upload job', error: err.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+
+  const channel = String(job._id);
+  let closed = false;
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    uploadQueue.events.off(channel, onEvent);
+    clearInterval(heartbeat);
+    res.end();
+  };
+  const onEvent = ({ event, data }) => {
+    send(event, data);
+    if (event === 'done') close();
+  };
+
+  // the job may be processed by another instance: the heartbeat also checks the database
+  const heartbeat = setInterval(async () => {
+    if (closed) return;
+    res.write(': ping\n\n');
+    try {
+      const latest = await UploadJob.findById(channel);
+      if (!latest) return close();
+      if (uploadQueue.FINISHED.includes(latest.status)) onEvent({ event: 'done', data: uploadQueue.jobJSON(latest) });
+    } catch (err) {
+      console.error('Upload job events poll error:', err.message);
+    }
+  }, HEARTBEAT_MS);
+
+  uploadQueue.events.on(channel, onEvent);
+  req.on('close', close);
+
+  send('job', uploadQueue.jobJSON(job));
+  if (uploadQueue.FINISHED.includes(job.status)) onEvent({ event: 'done', data: uploadQueue.jobJSON(job) });
+});
+
+router.post('/:id/retry', authorize(PERMISSIONS.MEDIA_WRITE), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+    if (!uploadQueue.FINISHED.includes(job.status)) {
+      return res.status(409).json({ message: 'Job is still in progress' });
+    }
+
+    const retried = await uploadQueue.retry(job._id);
+    if (!retried) return res.status(409).json({ message: 'Nothing to retry' });
+    audit.record(req, 'media.upload_retried', {
+      target: { type: 'folder', id: String(retried.folder) },
+      meta: { jobId: String(retried._id) },
+    });
+    return res.status(202).json(uploadQueue.jobJSON(retried));
+  } catch (err) {
+    console.error('Upload job retry error:', err);
+    return res.status(500).json({ message: 'Retry failed', error: err.message });
+  }
+});
+
+module.exports = router;
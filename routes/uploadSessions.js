@@ -0,0 +1,196 @@
+// routes/uploadSessions.js
+// Resumable (chunked) uploads, mounted at /api/upload/sessions. Modelled on tus:
+//
+//   POST   /                { folderId, fileName, size, type?, mimeType?, label?, title? }
+//                           -> 201, Location: <session url>, { id, offset, size, expiresAt }
+//   HEAD   /:id             -> Upload-Offset / Upload-Length / Upload-Expires headers
+//   GET    /:id             -> the same as JSON
+//   PATCH  /:id             Upload-Offset header + raw bytes (application/offset+octet-stream)
+//                           -> 204, Upload-Offset: <new offset>
+//   POST   /:id/finalize    { duplicates?, duplicateScope? } (as for POST /api/upload/:folderId)
+//                           -> 201, { uploaded: { images, videos }, duplicateOf? } like POST /api/upload/:folderId;
+//                              200 with nothing uploaded when a duplicate was skipped, 409 when rejected
+//   DELETE /:id             -> 204, abandons the upload
+//
+// A failed or interrupted PATCH is resumed by asking HEAD for the offset and
+// sending the rest from there.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Folder = require('../models/folder');
+const UploadSession = require('../models/UploadSession');
+const { authorize } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { invalidateOnWrite } = require('../middleware/httpCache');
+const uploads = require('../services/uploadSessions');
+const duplicates = require('../services/duplicates');
+const audit = require('../services/audit');
+
+const CHUNK_CONTENT_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+router.use(authorize(PERMISSIONS.MEDIA_WRITE));
+
+// browsers only let clients read these headers when they are exposed
+router.use((req, res, next) => {
+  res.set('Access-Control-Expose-Headers', 'Location, Upload-Offset, Upload-Length, Upload-Expires');
+  next();
+});
+
+function sessionJSON(session) {
+  return {
+    id: session._id,
+    folderId: session.folder,
+    type: session.type,
+    fileName: session.fileName,
+    size: session.size,
+    offset: session.offset,
+    status: session.status,
+    expiresAt: session.expiresAt,
+  };
+}
+
+function setProgressHeaders(res, session) {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.size),
+    'Upload-Expires': session.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store',
+  });
+}
+
+function sendError(res, err, fallback) {
+  if (err instanceof uploads.UploadSessionError) return res.status(err.status).json({ message: err.message, ...err.details });
+  console.error(`${fallback}:`, err);
+  return res.status(500).json({ message: fallback, error: err.message });
+}
+
+// the caller's own live session, or null (after answering the request)
+async function loadSession(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Upload session not found' });
+    return null;
+  }
+  const session = await UploadSession.findOne({ _id: req.params.id, expiresAt: { $gt: new Date() } });
+  if (!session || session.createdBy !== req.currentAdmin.email) {
+    res.status(404).json({ message: 'Upload session not found' });
+    return null;
+  }
+  return session;
+}
+
+router.post('/', async (req, res) => {
+  const { folderId, fileName, mimeType, label, title } = req.body || {};
+  const size = Number(req.body && req.body.size);
+  if (!mongoose.Types.ObjectId.isValid(folderId)) return res.status(400).json({ message: 'Valid folderId required' });
+  if (!fileName || typeof fileName !== 'string') return res.status(400).json({ message: 'fileName required' });
+
+  // type defaults to what the mime type says
+  const type = req.body.type || (typeof mimeType === 'string' && mimeType.split('/')[0]);
+  if (!['image', 'video'].includes(type)) return res.status(400).json({ message: 'type must be image or video' });
+
+  try {
+    const folder = await Folder.findById(folderId).notDeleted();
+    if (!folder) return res.status(404).json({ message: 'Folder not found' });
+
+    const session = await uploads.createSession({
+      folder: folder._id,
+      type,
+      fileName,
+      mimeType,
+      size,
+      ...(type === 'image' && label !== undefined ? { label } : {}),
+      ...(type === 'video' && title !== undefined ? { title } : {}),
+      createdBy: req.currentAdmin.email,
+    });
+
+    setProgressHeaders(res, session);
+    res.location(`${req.baseUrl}/${session._id}`);
+    return res.status(201).json(sessionJSON(session));
+  } catch (err) {
+    return sendError(res, err, 'Could not start upload');
+  }
+});
+
+router.head('/:id', async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    setProgressHeaders(res, session);
+    return res.status(200).end();
+  } catch (err) {
+    return sendError(res, err, 'Could not fetch upload');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    setProgressHeaders(res, session);
+    return res.json(sessionJSON(session));
+  } catch (err) {
+    return sendError(res, err, 'Could not fetch upload');
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!CHUNK_CONTENT_TYPES.includes(contentType)) {
+    return res.status(415).json({ message: `Content-Type must be ${CHUNK_CONTENT_TYPES[0]}` });
+  }
+  const offsetHeader = req.headers['upload-offset'];
+  if (offsetHeader === undefined || !/^\d+$/.test(offsetHeader)) {
+    return res.status(400).json({ message: 'Upload-Offset header required' });
+  }
+
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const declared = req.headers['content-length'] !== undefined ? Number(req.headers['content-length']) : undefined;
+    const updated = await uploads.appendChunk(session, Number(offsetHeader), req, declared);
+    setProgressHeaders(res, updated);
+    return res.status(204).end();
+  } catch (err) {
+    return sendError(res, err, 'Could not store chunk');
+  }
+});
+
+router.post('/:id/finalize', invalidateOnWrite, async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+
+    const options = duplicates.parseDuplicateOptions(req.body || {});
+    if (options.error) return res.status(400).json({ message: options.error });
+
+    const { item, duplicateOf } = await uploads.finalize(session, options);
+    const uploaded = { images: [], videos: [] };
+    if (!item) return res.json({ uploaded, skipped: true, duplicateOf });
+
+    audit.record(req, 'media.upload', {
+      target: audit.target('media', item),
+      after: audit.snapshot('media', item),
+      meta: { file: session.fileName, uploadSession: String(session._id), ...(duplicateOf ? { duplicateOf } : {}) },
+    });
+    uploaded[item.type === 'video' ? 'videos' : 'images'].push(item.toLegacyJSON());
+    return res.status(201).json({ uploaded, ...(duplicateOf ? { duplicateOf } : {}) });
+  } catch (err) {
+    return sendError(res, err, 'Could not finalize upload');
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await loadSession(req, res);
+    if (!session) return;
+    if (session.status !== 'open') return res.status(409).json({ message: 'Upload is being finalized' });
+
+    await uploads.discard(session);
+    return res.status(204).end();
+  } catch (err) {
+    return sendError(res, err, 'Could not cancel upload');
+  }
+});
+
+module.exports = router;
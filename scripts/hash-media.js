@@ -0,0 +1,44 @@
+// scripts/hash-media.js
+// Records the SHA-256 of media uploaded before content hashes were stored, so
+// GET /api/upload/duplicates covers it too. Reads every asset back from the
+// storage driver; safe to interrupt and re-run (hashed items are skipped).
+//
+//   npm run hash:media
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Media = require('../models/Media');
+const storage = require('../services/storage');
+const { ensureMigrated } = require('../services/media');
+const { sha256Stream } = require('../services/duplicates');
+
+async function main() {
+    await mongoose.connect(process.env.MONGO_URI);
+    await Media.syncIndexes();
+    await ensureMigrated();
+
+    let hashed = 0;
+    let failed = 0;
+    const cursor = Media.find({ sha256: { $exists: false } }).select('type public_id').cursor();
+    for await (const item of cursor) {
+        try {
+            const sha256 = await sha256Stream(await storage.open(item.public_id, { resourceType: item.type }));
+            await Media.updateOne({ _id: item._id }, { $set: { sha256 } });
+            hashed++;
+        } catch (err) {
+            failed++;
+            console.error(`${item.type} ${item.public_id}: ${err.message}`);
+        }
+    }
+    console.log(`Done: ${hashed} item(s) hashed, ${failed} failed`);
+    if (failed) process.exitCode = 1;
+}
+
+main()
+    .catch(err => {
+        console.error('Media hashing failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
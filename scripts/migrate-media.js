@@ -0,0 +1,31 @@
+// scripts/migrate-media.js
+// Moves media embedded in folders (Folder.images / Folder.videos) into the Media
+// collection. Safe to run while the app is serving traffic and safe to re-run.
+//
+//   npm run migrate:media
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Media = require('../models/Media');
+const { migrateAll } = require('../services/media');
+
+async function main() {
+    await mongoose.connect(process.env.MONGO_URI);
+    await Media.syncIndexes();
+
+    let folders = 0;
+    const copied = await migrateAll((folderId, count) => {
+        folders++;
+        console.log(`Folder ${folderId}: ${count} item(s)`);
+    });
+    console.log(`Done: ${copied} item(s) from ${folders} folder(s)`);
+}
+
+main()
+    .catch(err => {
+        console.error('Media migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
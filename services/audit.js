@@ -0,0 +1,177 @@
+// services/audit.js
+// Audit trail of admin actions (models/AuditLog.js). Routes call record() once
+// the change has succeeded; it never throws, so a failing audit write is logged
+// but doesn't fail the request.
+//
+//   const before = audit.snapshot('folder', folder);
+//   ...change and save the folder...
+//   audit.record(req, 'folder.update', {
+//     target: audit.target('folder', folder),
+//     before,
+//     after: audit.snapshot('folder', folder),
+//   });
+//
+// Config:
+//   AUDIT_RETENTION_DAYS  how long entries are kept (default: 365; 0 keeps them forever).
+//                         Entries get their expiry when written, so a change applies to new ones.
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { escapeRegex, parseDate, parseDateRange, encodeCursor: encodePayload, decodeCursor } = require('./queryUtils');
+
+const parsedRetention = parseFloat(process.env.AUDIT_RETENTION_DAYS);
+const RETENTION_DAYS = Number.isFinite(parsedRetention) && parsedRetention >= 0 ? parsedRetention : 365;
+
+// what is compared for each kind of target (never secrets such as password hashes)
+const FIELDS = {
+  folder: ['name', 'parent', 'slug', 'description', 'visibility', 'publishAt', 'unpublishAt', 'coverImage', 'tags', 'order', 'deletedAt'],
+  media: ['folder', 'type', 'public_id', 'url', 'label', 'title', 'tags', 'position', 'deletedAt'],
+  feedback: ['name', 'email', 'status', 'assignedTo', 'spam.flagged'],
+  admin: ['email', 'role'],
+};
+
+const LABELS = {
+  folder: (doc) => doc.name,
+  media: (doc) => doc.public_id,
+  feedback: (doc) => doc.email,
+  admin: (doc) => doc.email,
+};
+
+// ObjectIds, Dates and subdocuments as they appear in JSON
+function plain(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function valueAt(doc, field) {
+  if (typeof doc.get === 'function') return doc.get(field);
+  return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+}
+
+// nested paths become camelCase keys ('spam.flagged' -> spamFlagged): no dots in stored field names
+function keyFor(field) {
+  return field.replace(/\.(\w)/g, (m, c) => c.toUpperCase());
+}
+
+/**
+ * The audited fields of a document (mongoose or plain), as plain JSON values.
+ * Take it before changing a document that is modified in place.
+ */
+function snapshot(type, doc) {
+  if (!doc) return null;
+  return Object.fromEntries(FIELDS[type].map((field) => [keyFor(field), plain(valueAt(doc, field))]));
+}
+
+function target(type, doc, label) {
+  return { type, id: String(doc._id), label: label !== undefined ? label : LABELS[type](doc) };
+}
+
+// { field: { before, after } } for every field that differs; null when nothing did
+function diff(before, after) {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const from = before ? plain(before[field]) : null;
+    const to = after ? plain(after[field]) : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { before: from, after: to };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+function actorOf(admin) {
+  if (!admin) return { id: null, email: null, role: null };
+  return { id: admin._id || null, email: admin.email || null, role: admin.role || null };
+}
+
+/**
+ * Append an entry. `action` is '<area>.<verb>' (e.g. 'media.rename').
+ * options: { target, before, after, meta, actor } - actor defaults to req.currentAdmin
+ * (pass one for requests that aren't authenticated yet, e.g. login).
+ */
+async function record(req, action, { target: entryTarget, before, after, meta, actor } = {}) {
+  try {
+    const at = new Date();
+    await AuditLog.create({
+      at,
+      action,
+      actor: actorOf(actor !== undefined ? actor : req.currentAdmin),
+      ...(entryTarget ? { target: entryTarget } : {}),
+      ...(before || after ? { changes: diff(before, after) } : {}),
+      ...(meta ? { meta } : {}),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      expiresAt: RETENTION_DAYS ? new Date(at.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000) : null,
+    });
+  } catch (err) {
+    console.error(`Audit log write failed (${action}):`, err.message);
+  }
+}
+
+/**
+ * Translate query params into a Mongo filter.
+ *   actor       admin email (case-insensitive) or id
+ *   action      exact action, or an area: 'folder' matches folder.*
+ *   targetType  folder, media, feedback, admin or tag
+ *   targetId    id of the affected record
+ *   ip          exact client IP
+ *   from, to    time range (ISO dates; a date-only `to` includes that whole day)
+ * Returns { filter } or { error }.
+ */
+function buildAuditFilter(query) {
+  const filter = {};
+  const { actor, action, targetType, targetId, ip, from, to } = query;
+
+  if (actor !== undefined) {
+    if (typeof actor !== 'string' || !actor.trim()) return { error: 'Invalid actor' };
+    filter.$or = mongoose.Types.ObjectId.isValid(actor)
+      ? [{ 'actor.id': new mongoose.Types.ObjectId(actor) }, { 'actor.email': actor.toLowerCase().trim() }]
+      : [{ 'actor.email': actor.toLowerCase().trim() }];
+  }
+
+  if (action !== undefined) {
+    if (typeof action !== 'string' || !action.trim()) return { error: 'Invalid action' };
+    filter.action = action.includes('.') ? action : { $regex: `^${escapeRegex(action)}\\.` };
+  }
+
+  if (targetType !== undefined) {
+    if (!AuditLog.TARGET_TYPES.includes(targetType)) {
+      return { error: `Invalid targetType. Expected one of: ${AuditLog.TARGET_TYPES.join(', ')}` };
+    }
+    filter['target.type'] = targetType;
+  }
+  if (targetId !== undefined) {
+    if (typeof targetId !== 'string' || !targetId) return { error: 'Invalid targetId' };
+    filter['target.id'] = targetId;
+  }
+  if (ip !== undefined) {
+    if (typeof ip !== 'string' || !ip) return { error: 'Invalid ip' };
+    filter.ip = ip;
+  }
+
+  const { range, error: dateError } = parseDateRange(from, to);
+  if (dateError) return { error: dateError };
+  if (range) filter.at = range;
+
+  return { filter };
+}
+
+function encodeCursor(entry) {
+  return encodePayload({ at: entry.at.toISOString(), id: String(entry._id) });
+}
+
+// entries after the cursor in { at: -1, _id: -1 } order; null if malformed
+function cursorFilter(cursor) {
+  const payload = decodeCursor(cursor);
+  const at = payload && parseDate(payload.at);
+  if (!at || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+  const id = new mongoose.Types.ObjectId(payload.id);
+  return { $or: [{ at: { $lt: at } }, { at, _id: { $lt: id } }] };
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  snapshot,
+  target,
+  diff,
+  record,
+  buildAuditFilter,
+  encodeCursor,
+  cursorFilter,
+};
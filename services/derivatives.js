@@ -0,0 +1,45 @@
+// services/derivatives.js
+// Responsive versions of images for API responses: one URL per preset in the
+// original format and in each extra format, plus ready-made srcset strings.
+const storage = require('./storage');
+const { PRESETS, FORMATS } = require('../config/derivatives');
+
+function srcset(urls) {
+  return PRESETS.map((preset) => urls[preset.name] && `${urls[preset.name]} ${preset.width}w`).filter(Boolean).join(', ');
+}
+
+function urlsFor(item, format) {
+  const urls = {};
+  for (const preset of PRESETS) {
+    const url = storage.derivativeUrl(item.public_id, { preset, format, metadata: item.metadata || {} });
+    if (url) urls[preset.name] = url;
+  }
+  return urls;
+}
+
+/**
+ * { thumb, medium, large, srcset, webp: { thumb, ..., srcset }, avif: { ... } }
+ * for an image Media item, or null when the driver has none for it.
+ */
+function derivativesFor(item) {
+  if (item.type !== 'image' || !item.public_id) return null;
+
+  const original = urlsFor(item);
+  if (Object.keys(original).length === 0) return null;
+
+  const result = { ...original, srcset: srcset(original) };
+  for (const format of FORMATS) {
+    const urls = urlsFor(item, format);
+    result[format] = { ...urls, srcset: srcset(urls) };
+  }
+  return result;
+}
+
+// width/height/aspectRatio when known
+function dimensionsOf(item) {
+  const { width, height } = item.metadata || {};
+  if (!width || !height) return {};
+  return { width, height, aspectRatio: Math.round((width / height) * 10000) / 10000 };
+}
+
+module.exports = { derivativesFor, dimensionsOf };
@@ -0,0 +1,141 @@
+// services/duplicates.js
+// Content-hash (SHA-256) duplicate detection for uploads.
+//
+// Per request the client picks what happens to a file whose content already
+// exists: ?duplicates=allow (upload anyway, report the match), skip (don't upload
+// it) or reject (fail the request); ?duplicateScope=folder (default) or global.
+// UPLOAD_DUPLICATES sets the default mode (allow).
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const Media = require('../models/Media');
+const Folder = require('../models/folder');
+
+const MODES = ['allow', 'skip', 'reject'];
+const SCOPES = ['folder', 'global'];
+const DEFAULT_MODE = MODES.includes(process.env.UPLOAD_DUPLICATES) ? process.env.UPLOAD_DUPLICATES : 'allow';
+
+async function sha256Stream(stream) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(stream, hash);
+  return hash.digest('hex');
+}
+
+function sha256File(filePath) {
+  return sha256Stream(fs.createReadStream(filePath));
+}
+
+/**
+ * Read { duplicates, duplicateScope } from a query string or body.
+ * Returns { mode, scope } or { error }.
+ */
+function parseDuplicateOptions(source = {}) {
+  const mode = source.duplicates || DEFAULT_MODE;
+  const scope = source.duplicateScope || 'folder';
+  if (!MODES.includes(mode)) return { error: `duplicates must be one of: ${MODES.join(', ')}` };
+  if (!SCOPES.includes(scope)) return { error: `duplicateScope must be one of: ${SCOPES.join(', ')}` };
+  return { mode, scope };
+}
+
+function matchJSON(item, folderNames) {
+  return {
+    _id: item._id,
+    folderId: item.folder,
+    folderName: folderNames.get(String(item.folder)) || null,
+    type: item.type,
+    url: item.url,
+    public_id: item.public_id,
+  };
+}
+
+/**
+ * Hash every entry ({ file: { path, originalname }, ... }) into entry.sha256 and
+ * set entry.duplicateOf to what it matches: active media in `folder` (scope
+ * 'folder') or anywhere (scope 'global'), or an earlier file of the same batch
+ * ({ file: <name> }). Returns the entries that have a match.
+ */
+async function annotateDuplicates(folder, entries, { scope = 'folder' } = {}) {
+  for (const entry of entries) {
+    if (!entry.sha256) entry.sha256 = await sha256File(entry.file.path);
+  }
+
+  const filter = { sha256: { $in: [...new Set(entries.map((e) => e.sha256))] }, deletedAt: null };
+  if (scope === 'folder') filter.folder = folder._id;
+  const existing = await Media.find(filter).sort({ createdAt: 1 });
+
+  const folders = await Folder.find({ _id: { $in: [...new Set(existing.map((m) => String(m.folder)))] } }).select('name deletedAt');
+  const live = new Map(folders.filter((f) => !f.deletedAt).map((f) => [String(f._id), f.name]));
+
+  const byHash = new Map();
+  for (const item of existing) {
+    if (!live.has(String(item.folder))) continue;
+    if (!byHash.has(item.sha256)) byHash.set(item.sha256, []);
+    byHash.get(item.sha256).push(matchJSON(item, live));
+  }
+
+  const seenInBatch = new Map();
+  const duplicates = [];
+  for (const entry of entries) {
+    const matches = [...(byHash.get(entry.sha256) || [])];
+    if (seenInBatch.has(entry.sha256)) matches.push({ file: seenInBatch.get(entry.sha256) });
+    else seenInBatch.set(entry.sha256, entry.file.originalname);
+
+    if (matches.length) {
+      entry.duplicateOf = matches;
+      duplicates.push(entry);
+    }
+  }
+  return duplicates;
+}
+
+/**
+ * Groups of active media sharing the same content, largest groups first.
+ * Items uploaded before hashing was introduced have no hash (see scripts/hash-media.js).
+ * Returns { items: [{ sha256, count, items }], total }.
+ */
+async function listDuplicates({ scope = 'global', folderId, limit = 50, skip = 0 } = {}) {
+  const match = { sha256: { $type: 'string' }, deletedAt: null };
+  if (folderId) match.folder = folderId;
+
+  const group = scope === 'folder'
+    ? { _id: { sha256: '$sha256', folder: '$folder' } }
+    : { _id: { sha256: '$sha256' } };
+
+  const [result] = await Media.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1 } },
+    { $group: { ...group, count: { $sum: 1 }, ids: { $push: '$_id' } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, '_id.sha256': 1 } },
+    { $facet: { page: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'n' }] } },
+  ]);
+
+  const groups = result.page;
+  const items = await Media.find({ _id: { $in: groups.flatMap((g) => g.ids) } });
+  const folders = await Folder.find({ _id: { $in: [...new Set(items.map((m) => String(m.folder)))] } }).select('name');
+  const names = new Map(folders.map((f) => [String(f._id), f.name]));
+  const byId = new Map(items.map((m) => [String(m._id), m]));
+
+  return {
+    items: groups.map((g) => ({
+      sha256: g._id.sha256,
+      ...(g._id.folder ? { folderId: g._id.folder } : {}),
+      count: g.count,
+      items: g.ids.map((id) => byId.get(String(id))).filter(Boolean).map((m) => ({
+        ...matchJSON(m, names),
+        createdAt: m.createdAt,
+      })),
+    })),
+    total: result.total.length ? result.total[0].n : 0,
+  };
+}
+
+module.exports = {
+  MODES,
+  SCOPES,
+  sha256File,
+  sha256Stream,
+  parseDuplicateOptions,
+  annotateDuplicates,
+  listDuplicates,
+};
@@ -0,0 +1,99 @@
+// services/feedbackExport.js
+// Streams feedback as CSV or NDJSON straight from a Mongo cursor, one document at a
+// time, so exports never hold the whole collection in memory.
+const { once } = require('events');
+const Feedback = require('../models/Feedback');
+
+const COLUMNS = [
+  ['id', doc => String(doc._id)],
+  ['createdAt', doc => (doc.createdAt ? doc.createdAt.toISOString() : '')],
+  ['name', doc => doc.name],
+  ['email', doc => doc.email],
+  ['message', doc => doc.message],
+  ['status', doc => doc.status || 'new'],
+  ['assignedTo', doc => (doc.assignedTo ? String(doc.assignedTo) : '')],
+  ['spam', doc => (doc.spam && doc.spam.flagged ? 'yes' : 'no')],
+];
+
+function csvField(value) {
+  let str = value === undefined || value === null ? '' : String(value);
+  // stop spreadsheet apps from evaluating user text as a formula
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  if (/[",\r\n]/.test(str) || /^\s|\s$/.test(str)) str = `"${str.replace(/"/g, '""')}"`;
+  return str;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // BOM so Excel opens the file as UTF-8 (Malayalam text would be garbled otherwise)
+    head: () => '\uFEFF' + csvRow(COLUMNS.map(([name]) => name)),
+    row: doc => csvRow(COLUMNS.map(([, get]) => get(doc))),
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    head: () => '',
+    row: doc => JSON.stringify({
+      id: doc._id,
+      createdAt: doc.createdAt,
+      name: doc.name,
+      email: doc.email,
+      message: doc.message,
+      status: doc.status || 'new',
+      assignedTo: doc.assignedTo || null,
+      spam: Boolean(doc.spam && doc.spam.flagged),
+    }) + '\n',
+  },
+};
+
+// resolves once the client has drained the buffer or gone away; the listener
+// for whichever didn't happen is removed
+async function drained(res) {
+  const ac = new AbortController();
+  try {
+    await Promise.race([once(res, 'drain', { signal: ac.signal }), once(res, 'close', { signal: ac.signal })]);
+  } finally {
+    ac.abort();
+  }
+}
+
+/**
+ * Write every feedback matching `filter` to `res` in `format` (see FORMATS),
+ * oldest first. Stops early if the client disconnects.
+ */
+async function streamFeedback(res, filter, format) {
+  const fmt = FORMATS[format];
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.status(200);
+  res.set('Content-Type', fmt.contentType);
+  res.set('Content-Disposition', `attachment; filename="feedback-${stamp}.${fmt.extension}"`);
+  res.set('Cache-Control', 'no-store');
+
+  const cursor = Feedback.find(filter)
+    .select('name email message status assignedTo spam.flagged createdAt')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  try {
+    const head = fmt.head();
+    if (head) res.write(head);
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      if (!res.write(fmt.row(doc))) await drained(res);
+    }
+  } finally {
+    await cursor.close();
+  }
+  if (!res.destroyed) res.end();
+}
+
+module.exports = { FORMATS, streamFeedback };
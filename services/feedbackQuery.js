@@ -0,0 +1,90 @@
+// services/feedbackQuery.js
+// Builds feedback queries from request query params (shared by listing and export).
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback');
+const { escapeRegex, parseDateRange, encodeCursor: encodePayload, decodeCursor } = require('./queryUtils');
+
+const SORTS = {
+  newest: { field: 'createdAt', dir: -1 },
+  oldest: { field: 'createdAt', dir: 1 },
+  name: { field: 'name', dir: 1 },
+  email: { field: 'email', dir: 1 },
+};
+
+// feedback created before statuses existed has no status field and counts as 'new'
+function statusFilter(status) {
+  return status === 'new' ? { status: { $in: ['new', null] } } : { status };
+}
+
+/**
+ * Translate query params into Mongo filters.
+ *   q           full-text search over name/email/message
+ *   from, to    createdAt range (ISO dates; a date-only `to` includes that whole day)
+ *   email       exact sender email (case-insensitive)
+ *   status      one of Feedback.STATUSES
+ *   assignedTo  admin id, 'me' or 'none'
+ *   spam        'exclude' (default), 'only' or 'include'
+ * Returns { base, status } (status kept apart so facets can ignore it) or { error }.
+ */
+function buildFeedbackFilter(query, currentAdmin) {
+  const base = {};
+  const { q, from, to, email, status, assignedTo, spam = 'exclude' } = query;
+
+  if (q !== undefined) {
+    if (typeof q !== 'string' || !q.trim()) return { error: 'Invalid q' };
+    base.$text = { $search: q.trim() };
+  }
+
+  const { range, error: dateError } = parseDateRange(from, to);
+  if (dateError) return { error: dateError };
+  if (range) base.createdAt = range;
+
+  if (email !== undefined) {
+    if (typeof email !== 'string' || !email.trim()) return { error: 'Invalid email' };
+    base.email = { $regex: `^${escapeRegex(email.trim())}$`, $options: 'i' };
+  }
+
+  if (assignedTo === 'none') base.assignedTo = null;
+  else if (assignedTo === 'me') base.assignedTo = (currentAdmin && currentAdmin._id) || null;
+  else if (assignedTo) {
+    if (!mongoose.Types.ObjectId.isValid(assignedTo)) return { error: 'Invalid assignedTo' };
+    base.assignedTo = new mongoose.Types.ObjectId(assignedTo);
+  }
+
+  if (spam === 'exclude') base['spam.flagged'] = { $ne: true };
+  else if (spam === 'only') base['spam.flagged'] = true;
+  else if (spam !== 'include') return { error: 'Invalid spam filter' };
+
+  let statusPart = {};
+  if (status) {
+    if (!Feedback.STATUSES.includes(status)) return { error: 'Invalid status' };
+    statusPart = statusFilter(status);
+  }
+
+  return { base, status: statusPart };
+}
+
+function encodeCursor(doc, sort) {
+  const value = doc[sort.field];
+  return encodePayload({ v: value instanceof Date ? value.toISOString() : value, id: String(doc._id) });
+}
+
+// Mongo condition selecting documents after the cursor; null if the cursor is malformed
+function cursorFilter(cursor, sort) {
+  const payload = decodeCursor(cursor);
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+  const value = sort.field === 'createdAt' ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && isNaN(value.getTime())) return null;
+
+  const op = sort.dir === -1 ? '$lt' : '$gt';
+  const id = new mongoose.Types.ObjectId(payload.id);
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } },
+    ],
+  };
+}
+
+module.exports = { SORTS, buildFeedbackFilter, encodeCursor, cursorFilter };
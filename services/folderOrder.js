@@ -0,0 +1,69 @@
+// services/folderOrder.js
+// Manual ordering of folders among their siblings (Folder.order, ascending).
+const mongoose = require('mongoose');
+const Folder = require('../models/folder');
+
+const SORT = { order: 1, createdAt: 1 };
+const MAX_IDS = 5000;
+
+function siblingFilter(parentId) {
+  return { parent: parentId || null, deletedAt: null };
+}
+
+/**
+ * Make room for a folder at `position` (0-based) among the siblings under
+ * `parentId` and return the order value to give it. Without a position the
+ * folder goes last.
+ */
+async function claimPosition(parentId, position) {
+  const siblings = await Folder.find(siblingFilter(parentId)).select('_id order').sort(SORT).lean();
+
+  if (position === undefined || position === null || position >= siblings.length) {
+    const last = siblings[siblings.length - 1];
+    return last ? (last.order || 0) + 1 : 0;
+  }
+
+  // renumber so the slot is free and orders stay dense: 0..position-1, gap, position+1..
+  const ids = siblings.map((s) => s._id);
+  await Folder.updateMany({ _id: { $in: ids } }, [
+    { $set: { order: { $let: {
+      vars: { idx: { $indexOfArray: [ids, '$_id'] } },
+      in: { $cond: [{ $lt: ['$$idx', position] }, '$$idx', { $add: ['$$idx', 1] }] },
+    } } } },
+  ]);
+  return position;
+}
+
+/**
+ * Reorder the siblings under `parentId`: `folderIds` come first in the given
+ * order, any sibling left out keeps its relative order after them.
+ * Returns { folders } (the siblings, sorted) or { error }.
+ */
+async function reorderSiblings(parentId, folderIds) {
+  if (!Array.isArray(folderIds)) return { error: 'folderIds array required' };
+  if (folderIds.length === 0) return { error: 'folderIds cannot be empty' };
+  if (folderIds.length > MAX_IDS) return { error: 'Too many folderIds' };
+
+  const ids = folderIds.map(String);
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) return { error: 'folderIds contains an invalid id' };
+  if (new Set(ids).size !== ids.length) return { error: 'folderIds contains duplicates' };
+
+  const siblings = await Folder.find(siblingFilter(parentId)).select('_id').sort(SORT).lean();
+  const siblingIds = new Set(siblings.map((s) => String(s._id)));
+  const unknown = ids.filter((id) => !siblingIds.has(id));
+  if (unknown.length) return { error: 'Some folderIds do not exist or are not in this parent folder', unknown };
+
+  const listed = new Set(ids);
+  const ordered = [...ids, ...siblings.map((s) => String(s._id)).filter((id) => !listed.has(id))]
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+  // one update statement assigns every order at once (index in the ordered list)
+  await Folder.updateMany({ _id: { $in: ordered } }, [
+    { $set: { order: { $indexOfArray: [ordered, '$_id'] } } },
+  ]);
+
+  const folders = await Folder.find(siblingFilter(parentId)).sort(SORT);
+  return { folders };
+}
+
+module.exports = { SORT, claimPosition, reorderSiblings };
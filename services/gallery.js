@@ -0,0 +1,90 @@
+// services/gallery.js
+// Paging through a folder's media for the public gallery API.
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const { ensureMigrated } = require('./media');
+const { encodeCursor: encodePayload, decodeCursor } = require('./queryUtils');
+
+const TYPES = ['image', 'video', 'all'];
+const FIELDS = ['_id', 'type', 'url', 'public_id', 'label', 'title', 'tags', 'width', 'height', 'aspectRatio', 'derivatives', 'createdAt'];
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+function encodeCursor(item) {
+  return encodePayload({ t: item.type, p: item.position, id: String(item._id) });
+}
+
+// filter for the items after the cursor in { type, position, _id } order; null if malformed
+function afterCursor(cursor) {
+  const payload = decodeCursor(cursor);
+  if (!payload || typeof payload.t !== 'string' || typeof payload.p !== 'number' || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    return null;
+  }
+  const id = new mongoose.Types.ObjectId(payload.id);
+  return {
+    $or: [
+      { type: { $gt: payload.t } },
+      { type: payload.t, position: { $gt: payload.p } },
+      { type: payload.t, position: payload.p, _id: { $gt: id } },
+    ],
+  };
+}
+
+/**
+ * Parse ?type=&limit=&cursor=&fields= into options for pageMedia.
+ * Returns { options } or { error }.
+ */
+function parseMediaQuery(query) {
+  const type = query.type || 'all';
+  if (!TYPES.includes(type)) return { error: `Invalid type. Expected one of: ${TYPES.join(', ')}` };
+
+  const limit = Math.min(Math.max(parseInt(query.limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  let fields = FIELDS;
+  if (query.fields) {
+    fields = String(query.fields).split(',').map((f) => f.trim()).filter(Boolean);
+    const unknown = fields.filter((f) => !FIELDS.includes(f));
+    if (unknown.length) return { error: `Unknown fields: ${unknown.join(', ')}. Allowed: ${FIELDS.join(', ')}` };
+    if (!fields.includes('_id')) fields.unshift('_id');
+  }
+
+  return { options: { type, limit, cursor: query.cursor, fields } };
+}
+
+/**
+ * One page of a folder's active media, images first then videos (each in their
+ * manual order). Returns { items, total, nextCursor } or { error }.
+ */
+async function pageMedia(folder, { type, limit, cursor, fields }) {
+  await ensureMigrated([folder._id]);
+  const base = { folder: folder._id, deletedAt: null };
+  if (type !== 'all') base.type = type;
+
+  const filter = { ...base };
+  if (cursor) {
+    const after = afterCursor(cursor);
+    if (!after) return { error: 'Invalid cursor' };
+    Object.assign(filter, after);
+  }
+
+  // 'image' sorts before 'video'
+  const [docs, total] = await Promise.all([
+    Media.find(filter).sort({ type: 1, position: 1, _id: 1 }).limit(limit + 1),
+    Media.countDocuments(base),
+  ]);
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+
+  const project = (doc) => {
+    const item = { ...doc.toLegacyJSON(), type: doc.type };
+    return Object.fromEntries(fields.filter((f) => item[f] !== undefined).map((f) => [f, item[f]]));
+  };
+
+  return {
+    items: page.map(project),
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = { parseMediaQuery, pageMedia };
@@ -0,0 +1,8 @@
+// services/mailer/console.js
+// Prints each message to stdout instead of sending it (local development).
+
+async function send({ to, subject, text }) {
+  console.log(`----- mail -----\nTo: ${to}\nSubject: ${subject}\n\n${text}\n----------------`);
+}
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,17 @@
+// services/mailer/file.js
+// Writes each message as a JSON file instead of sending it (local development).
+// Config: MAIL_OUTBOX_DIR (default: ./mail-outbox)
+const fs = require('fs');
+const path = require('path');
+
+const outbox = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+
+async function send({ to, subject, text, html }) {
+  await fs.promises.mkdir(outbox, { recursive: true });
+  const file = path.join(outbox, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+  const message = { from: process.env.MAIL_FROM, to, subject, text, html, date: new Date().toISOString() };
+  await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+  console.log(`Mail to ${to} written to ${file}`);
+}
+
+module.exports = { name: 'file', send };
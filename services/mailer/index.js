@@ -0,0 +1,29 @@
+// services/mailer/index.js
+// Outgoing mail abstraction. Every driver exposes:
+//   send({ to, subject, text, html? }) -> Promise
+//
+// The driver is chosen with MAIL_DRIVER: 'smtp', 'file' or 'console'.
+// Defaults to 'smtp' when SMTP_HOST is set, otherwise 'console' outside production.
+// In production there is no fallback: console/file write reset links where anyone
+// with log access can read them, so they have to be chosen explicitly.
+
+const drivers = {
+  smtp: () => require('./smtp'),
+  file: () => require('./file'),
+  console: () => require('./console'),
+};
+
+function defaultDriver() {
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No mail driver configured: set SMTP_HOST (or MAIL_DRIVER) in production');
+  }
+  return 'console';
+}
+
+const driverName = (process.env.MAIL_DRIVER || defaultDriver()).toLowerCase().trim();
+if (!drivers[driverName]) {
+  throw new Error(`Unknown MAIL_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,23 @@
+// services/mailer/smtp.js
+// Config: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for port 465),
+//         SMTP_USER, SMTP_PASS, MAIL_FROM
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587', 10),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+});
+
+async function send({ to, subject, text, html }) {
+  await transporter.sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,266 @@
+// services/media.js
+// Reads and writes of folder media (models/Media.js), including the migration of
+// media that older versions embedded in Folder.images / Folder.videos.
+//
+// Migration runs without downtime: `npm run migrate:media` converts every folder,
+// and until it has finished any folder touched through this module is converted
+// on the spot first. Converting a folder copies its items (same _id) and then
+// clears the embedded arrays only if nobody changed them meanwhile, so it is safe
+// to run while older app instances still write to them.
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const Folder = require('../models/folder');
+
+const SORT = { position: 1, _id: 1 };
+const ACTIVE = { deletedAt: null };
+const TYPES = ['image', 'video'];
+const PENDING = { $or: [{ 'images.0': { $exists: true } }, { 'videos.0': { $exists: true } }] };
+const MAX_MIGRATION_ATTEMPTS = 5;
+
+// ---------------------------------------------------------------------------
+// migration
+
+let allMigrated = false;
+
+function embeddedToDocs(folderId, items, type) {
+  return (items || []).map((item, index) => ({
+    _id: item._id,
+    folder: folderId,
+    type,
+    url: item.url,
+    public_id: item.public_id,
+    ...(type === 'image' && item.label !== undefined ? { label: item.label } : {}),
+    ...(type === 'video' && item.title !== undefined ? { title: item.title } : {}),
+    position: index,
+    deletedAt: item.deletedAt || null,
+    createdAt: item.createdAt || new Date(),
+  }));
+}
+
+function onlyDuplicateKeyErrors(err) {
+  const errors = err.writeErrors || [err];
+  return errors.length > 0 && errors.every((e) => e.code === 11000);
+}
+
+// move one folder's embedded media into the Media collection; returns the number of items copied
+async function migrateFolder(folderId) {
+  for (let attempt = 0; attempt < MAX_MIGRATION_ATTEMPTS; attempt++) {
+    const folder = await Folder.findById(folderId).select('images videos').lean();
+    if (!folder) return 0;
+
+    const images = folder.images || [];
+    const videos = folder.videos || [];
+    const docs = [...embeddedToDocs(folder._id, images, 'image'), ...embeddedToDocs(folder._id, videos, 'video')];
+    if (docs.length === 0) return 0;
+
+    try {
+      await Media.insertMany(docs, { ordered: false });
+    } catch (err) {
+      // already copied by an earlier (interrupted) run or a concurrent request
+      if (!onlyDuplicateKeyErrors(err)) throw err;
+    }
+
+    const cleared = await Folder.updateOne(
+      { _id: folder._id, images: { $size: images.length }, videos: { $size: videos.length } },
+      { $unset: { images: 1, videos: 1 } }
+    );
+    if (cleared.modifiedCount === 1) return docs.length;
+    // the arrays changed while copying: copy again
+  }
+  throw new Error(`Could not migrate media of folder ${folderId}: it keeps changing`);
+}
+
+/**
+ * Make sure the given folders (or all folders) have no embedded media left.
+ * Cheap once everything is migrated.
+ */
+async function ensureMigrated(folderIds) {
+  if (allMigrated) return;
+
+  const filter = folderIds ? { _id: { $in: folderIds }, ...PENDING } : PENDING;
+  const pending = await Folder.find(filter).select('_id').lean();
+  for (const folder of pending) await migrateFolder(folder._id);
+
+  allMigrated = !(await Folder.exists(PENDING));
+}
+
+// migrate every folder; `onProgress(folderId, copied)` is called per folder
+async function migrateAll(onProgress = () => {}) {
+  let total = 0;
+  const cursor = Folder.find(PENDING).select('_id').lean().cursor();
+  for await (const folder of cursor) {
+    const copied = await migrateFolder(folder._id);
+    total += copied;
+    onProgress(folder._id, copied);
+  }
+  allMigrated = !(await Folder.exists(PENDING));
+  return total;
+}
+
+// ---------------------------------------------------------------------------
+// reads
+
+function groupLegacy(items) {
+  const grouped = { images: [], videos: [] };
+  for (const item of items) grouped[item.type === 'video' ? 'videos' : 'images'].push(item.toLegacyJSON());
+  return grouped;
+}
+
+// { images, videos } of one folder in the legacy response shape (active items only)
+async function legacyMedia(folderId) {
+  await ensureMigrated([folderId]);
+  const items = await Media.find({ folder: folderId, ...ACTIVE }).sort(SORT);
+  return groupLegacy(items);
+}
+
+// an active (or, with deleted: true, trashed) item of a folder by public_id
+async function findInFolder(folderId, publicId, { deleted = false } = {}) {
+  await ensureMigrated([folderId]);
+  return Media.findOne({ folder: folderId, public_id: publicId, deletedAt: deleted ? { $ne: null } : null });
+}
+
+// position for a new item: after everything already in the folder
+async function nextPosition(folderId, type) {
+  const last = await Media.findOne({ folder: folderId, type }).sort({ position: -1 }).select('position').lean();
+  return last ? last.position + 1 : 0;
+}
+
+// the chosen cover when it is an active image of the folder, otherwise the first image
+async function coversFor(folders, firstImages) {
+  const chosenIds = folders.map((f) => f.coverImage).filter(Boolean);
+  const chosen = chosenIds.length
+    ? await Media.find({ folder: { $in: folders.map((f) => f._id) }, type: 'image', public_id: { $in: chosenIds }, ...ACTIVE })
+    : [];
+
+  const covers = new Map();
+  for (const f of folders) {
+    const id = String(f._id);
+    const pick = chosen.find((m) => String(m.folder) === id && m.public_id === f.coverImage) || firstImages.get(id) || null;
+    covers.set(id, pick);
+  }
+  return covers;
+}
+
+/**
+ * Folders as full API objects: folder fields plus { images, videos, cover } in the
+ * legacy shape (active media only).
+ */
+async function withMedia(folders) {
+  const ids = folders.map((f) => f._id);
+  await ensureMigrated(ids);
+
+  const items = await Media.find({ folder: { $in: ids }, ...ACTIVE }).sort(SORT);
+  const byFolder = new Map(ids.map((id) => [String(id), []]));
+  for (const item of items) byFolder.get(String(item.folder)).push(item);
+
+  const firstImages = new Map();
+  for (const [id, list] of byFolder) firstImages.set(id, list.find((m) => m.type === 'image'));
+  const covers = await coversFor(folders, firstImages);
+
+  return folders.map((f) => {
+    const cover = covers.get(String(f._id));
+    return { ...f.toJSON(), ...groupLegacy(byFolder.get(String(f._id))), cover: cover ? cover.toLegacyJSON() : null };
+  });
+}
+
+// the cover as shown in summaries: its URLs and size, without labels/timestamps
+function coverJSON(image) {
+  const { url, public_id, width, height, aspectRatio, derivatives } = image.toLegacyJSON();
+  return { url, public_id, ...(width ? { width, height, aspectRatio } : {}), ...(derivatives ? { derivatives } : {}) };
+}
+
+/**
+ * Lightweight public representation of folders: no media, just counts and the cover.
+ */
+async function summarize(folders) {
+  const ids = folders.map((f) => f._id);
+  await ensureMigrated(ids);
+
+  const stats = await Media.aggregate([
+    { $match: { folder: { $in: ids }, ...ACTIVE } },
+    { $sort: { position: 1, _id: 1 } },
+    { $group: { _id: { folder: '$folder', type: '$type' }, count: { $sum: 1 }, first: { $first: '$_id' } } },
+  ]);
+
+  const counts = new Map();
+  const firstImageIds = [];
+  for (const s of stats) {
+    const key = String(s._id.folder);
+    const entry = counts.get(key) || { imageCount: 0, videoCount: 0 };
+    entry[s._id.type === 'video' ? 'videoCount' : 'imageCount'] = s.count;
+    counts.set(key, entry);
+    if (s._id.type === 'image') firstImageIds.push(s.first);
+  }
+
+  const firstImages = new Map(
+    (await Media.find({ _id: { $in: firstImageIds } })).map((m) => [String(m.folder), m])
+  );
+  const covers = await coversFor(folders, firstImages);
+
+  return folders.map((f) => {
+    const id = String(f._id);
+    const cover = covers.get(id);
+    const { imageCount, videoCount } = counts.get(id) || { imageCount: 0, videoCount: 0 };
+    return {
+      _id: f._id,
+      name: f.name,
+      slug: f.slug,
+      parent: f.parent || null,
+      description: f.description || null,
+      tags: f.tags || [],
+      cover: cover ? coverJSON(cover) : null,
+      imageCount,
+      videoCount,
+      updatedAt: f.updatedAt || f.createdAt,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// writes
+
+/**
+ * Reorder one type of media in a folder: `publicIds` first in the given order,
+ * everything else keeps its relative order after them. Unknown ids are ignored.
+ */
+async function reorder(folderId, type, publicIds) {
+  await ensureMigrated([folderId]);
+  const items = await Media.find({ folder: folderId, type, ...ACTIVE }).select('_id public_id').sort(SORT).lean();
+
+  const byPublicId = new Map(items.map((m) => [m.public_id, m._id]));
+  const listed = [];
+  const seen = new Set();
+  for (const pid of publicIds) {
+    const id = byPublicId.get(pid);
+    if (id && !seen.has(String(id))) {
+      listed.push(id);
+      seen.add(String(id));
+    }
+  }
+  const ordered = [...listed, ...items.map((m) => m._id).filter((id) => !seen.has(String(id)))];
+  if (ordered.length === 0) return;
+
+  // a single update statement assigns every position
+  await Media.updateMany({ _id: { $in: ordered } }, [
+    { $set: { position: { $indexOfArray: [ordered, '$_id'] } } },
+  ]);
+}
+
+function isValidId(id) {
+  return mongoose.Types.ObjectId.isValid(id);
+}
+
+module.exports = {
+  SORT,
+  TYPES,
+  ensureMigrated,
+  migrateFolder,
+  migrateAll,
+  legacyMedia,
+  findInFolder,
+  nextPosition,
+  withMedia,
+  summarize,
+  reorder,
+  isValidId,
+};
@@ -0,0 +1,192 @@
+// services/mediaBulk.js
+// Bulk move/copy/trash of media across folders. Every operation works item by
+// item and returns a per-item report, so one failure doesn't hide (or undo)
+// the items that went through.
+const path = require('path');
+const mongoose = require('mongoose');
+const Folder = require('../models/folder');
+const Media = require('../models/Media');
+const storage = require('./storage');
+const { ensureMigrated, nextPosition } = require('./media');
+
+const MAX_ITEMS = 500;
+
+/**
+ * Validate a bulk request body: { ids: [...] }, plus { targetFolderId } when
+ * `needsTarget`. Returns { ids, target? } or { status, message }.
+ */
+async function parseBulkRequest(body, { needsTarget = false } = {}) {
+  const { ids, targetFolderId } = body || {};
+  if (!Array.isArray(ids) || ids.length === 0) return { status: 400, message: 'ids array required' };
+  if (ids.length > MAX_ITEMS) return { status: 400, message: `At most ${MAX_ITEMS} ids per request` };
+
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length) return { status: 400, message: 'Invalid id', invalid };
+
+  const unique = [...new Set(ids.map(String))];
+  if (!needsTarget) return { ids: unique };
+
+  if (!targetFolderId || !mongoose.Types.ObjectId.isValid(targetFolderId)) {
+    return { status: 400, message: 'Valid targetFolderId required' };
+  }
+  const target = await Folder.findById(targetFolderId).notDeleted();
+  if (!target) return { status: 404, message: 'Target folder not found' };
+  return { ids: unique, target };
+}
+
+// active items by id, plus their (live) folders
+async function loadItems(ids) {
+  await ensureMigrated();
+  const items = await Media.find({ _id: { $in: ids }, deletedAt: null });
+  const folderIds = [...new Set(items.map((m) => String(m.folder)))];
+  const folders = await Folder.find({ _id: { $in: folderIds } }).notDeleted();
+  const folderById = new Map(folders.map((f) => [String(f._id), f]));
+  const itemById = new Map(items.filter((m) => folderById.has(String(m.folder))).map((m) => [String(m._id), m]));
+  return { itemById, folderById };
+}
+
+function summarize(results) {
+  const summary = { succeeded: 0, skipped: 0, failed: 0 };
+  for (const r of results) {
+    if (r.status === 'failed') summary.failed++;
+    else if (r.status === 'skipped') summary.skipped++;
+    else summary.succeeded++;
+  }
+  return { results, summary };
+}
+
+// positions after everything already in the target folder, per type
+async function positionCounter(folderId) {
+  const next = { image: await nextPosition(folderId, 'image'), video: await nextPosition(folderId, 'video') };
+  return (type) => next[type]++;
+}
+
+// a moved cover is no longer the source folder's cover
+async function releaseCover(folder, publicId) {
+  if (folder.coverImage === publicId) {
+    await Folder.updateOne({ _id: folder._id, coverImage: publicId }, { $set: { coverImage: null } });
+  }
+}
+
+/**
+ * Move items into `target`, relocating each stored asset under the target's
+ * storage path. If the database update fails the asset is renamed back.
+ */
+async function moveItems(ids, target) {
+  const { itemById, folderById } = await loadItems(ids);
+  const targetPath = await target.storagePath();
+  const position = await positionCounter(target._id);
+  const results = [];
+
+  for (const id of ids) {
+    const item = itemById.get(id);
+    if (!item) {
+      results.push({ id, status: 'failed', error: 'Media not found' });
+      continue;
+    }
+    if (item.folder.equals(target._id)) {
+      results.push({ id, status: 'skipped', error: 'Already in the target folder' });
+      continue;
+    }
+
+    const source = folderById.get(String(item.folder));
+    let relocated = null;
+    try {
+      if (item.public_id) {
+        const newPublicId = `${targetPath}/${path.posix.basename(item.public_id)}`;
+        if (newPublicId !== item.public_id) {
+          relocated = await storage.rename(item.public_id, newPublicId, { resourceType: item.type });
+        }
+      }
+
+      const update = { folder: target._id, position: position(item.type) };
+      if (relocated) Object.assign(update, { public_id: relocated.public_id, url: relocated.url });
+      const moved = await Media.findOneAndUpdate({ _id: item._id, deletedAt: null }, { $set: update }, { new: true });
+      if (!moved) throw new Error('Media changed while moving');
+
+      await releaseCover(source, item.public_id);
+      results.push({ id, status: 'moved', from: source._id, item: moved.toLegacyJSON() });
+    } catch (err) {
+      if (relocated) {
+        await storage.rename(relocated.public_id, item.public_id, { resourceType: item.type })
+          .catch((e) => console.error(`Failed to move ${relocated.public_id} back to ${item.public_id}:`, e.message));
+      }
+      results.push({ id, status: 'failed', error: err.message });
+    }
+  }
+
+  return summarize(results);
+}
+
+/**
+ * Copy items into `target` as new assets under the target's storage path.
+ * If the new document can't be saved the copied asset is destroyed again.
+ */
+async function copyItems(ids, target) {
+  const { itemById } = await loadItems(ids);
+  const targetPath = await target.storagePath();
+  const position = await positionCounter(target._id);
+  const results = [];
+
+  for (const id of ids) {
+    const item = itemById.get(id);
+    if (!item) {
+      results.push({ id, status: 'failed', error: 'Media not found' });
+      continue;
+    }
+
+    let copied = null;
+    try {
+      copied = await storage.copy(item.public_id, { folder: targetPath, resourceType: item.type });
+      const created = await Media.create({
+        folder: target._id,
+        type: item.type,
+        url: copied.url,
+        public_id: copied.public_id,
+        ...(item.label !== undefined ? { label: item.label } : {}),
+        ...(item.title !== undefined ? { title: item.title } : {}),
+        position: position(item.type),
+        ...(item.sha256 ? { sha256: item.sha256 } : {}),
+        ...(item.tags && item.tags.length ? { tags: item.tags } : {}),
+        metadata: { ...item.toObject().metadata, ...copied.metadata },
+      });
+      results.push({ id, status: 'copied', item: created.toLegacyJSON() });
+    } catch (err) {
+      if (copied) {
+        await storage.delete(copied.public_id, { resourceType: item.type })
+          .catch((e) => console.error(`Failed to remove copied asset ${copied.public_id}:`, e.message));
+      }
+      results.push({ id, status: 'failed', error: err.message });
+    }
+  }
+
+  return summarize(results);
+}
+
+// move items to the trash (assets are destroyed when the trash is purged)
+async function trashItems(ids) {
+  const { itemById } = await loadItems(ids);
+  const results = [];
+
+  for (const id of ids) {
+    if (!itemById.has(id)) {
+      results.push({ id, status: 'failed', error: 'Media not found' });
+      continue;
+    }
+    try {
+      const trashed = await Media.findOneAndUpdate(
+        { _id: id, deletedAt: null },
+        { $set: { deletedAt: new Date() } },
+        { new: true }
+      );
+      if (trashed) results.push({ id, status: 'trashed', item: trashed.toLegacyJSON() });
+      else results.push({ id, status: 'skipped', error: 'Already in the trash' });
+    } catch (err) {
+      results.push({ id, status: 'failed', error: err.message });
+    }
+  }
+
+  return summarize(results);
+}
+
+module.exports = { MAX_ITEMS, parseBulkRequest, moveItems, copyItems, trashItems };
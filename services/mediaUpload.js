@@ -0,0 +1,132 @@
+// services/mediaUpload.js
+// Pushes a batch of validated files to the storage driver and records them as
+// Media items. Files are uploaded a few at a time (UPLOAD_CONCURRENCY, default 3);
+// each file gets its own result, and if saving to MongoDB fails the assets that
+// were already stored for it are destroyed again so nothing is left orphaned.
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const storage = require('./storage');
+const { ensureMigrated, nextPosition } = require('./media');
+const { sha256File } = require('./duplicates');
+
+const CONCURRENCY = Math.max(parseInt(process.env.UPLOAD_CONCURRENCY, 10) || 3, 1);
+
+// run `fn` over items with at most `limit` in flight; results keep the input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function destroyQuietly(uploaded, type) {
+  try {
+    await storage.delete(uploaded.public_id, { resourceType: type });
+  } catch (err) {
+    console.error(`Failed to remove orphaned ${type} ${uploaded.public_id}:`, err.message);
+  }
+}
+
+/**
+ * Upload `entries` ([{ file: { path, originalname }, type, label?, title?, position?, sha256?,
+ * duplicateOf? }]) into `folder`. Files are hashed here unless the entry already carries its
+ * sha256 (see services/duplicates.js). Returns one result per entry, in order:
+ *   { file, type, status: 'uploaded', item }  or  { file, type, status: 'failed', error }
+ * plus the entry's duplicateOf, when it has one.
+ */
+async function uploadFiles(folder, entries, { concurrency = CONCURRENCY } = {}) {
+  await ensureMigrated([folder._id]);
+  // nested folders upload under their full path, e.g. koovappady/Festivals/2025/Day 1
+  const storageFolder = await folder.storagePath();
+
+  // positions follow the request order, after everything already in the folder
+  // (unless the entry brings one it reserved earlier)
+  const next = { image: await nextPosition(folder._id, 'image'), video: await nextPosition(folder._id, 'video') };
+  const positions = entries.map((entry) => (entry.position !== undefined ? entry.position : next[entry.type]++));
+
+  const stored = await mapLimit(entries, concurrency, async (entry) => {
+    try {
+      if (!entry.sha256) entry.sha256 = await sha256File(entry.file.path);
+      const uploaded = await storage.upload(entry.file.path, {
+        folder: storageFolder,
+        resourceType: entry.type,
+        originalName: entry.file.originalname,
+      });
+      return { uploaded };
+    } catch (err) {
+      console.error(`Upload of ${entry.file.originalname} failed:`, err.message);
+      return { error: err.message };
+    }
+  });
+
+  const docs = [];
+  entries.forEach((entry, i) => {
+    const { uploaded } = stored[i];
+    if (!uploaded) return;
+    docs.push({
+      index: i,
+      doc: {
+        _id: new mongoose.Types.ObjectId(),
+        folder: folder._id,
+        type: entry.type,
+        url: uploaded.url,
+        public_id: uploaded.public_id,
+        ...(entry.type === 'image' && entry.label !== undefined ? { label: entry.label } : {}),
+        ...(entry.type === 'video' && entry.title !== undefined ? { title: entry.title } : {}),
+        position: positions[i],
+        sha256: entry.sha256,
+        metadata: uploaded.metadata,
+      },
+    });
+  });
+
+  // one write for the whole batch; documents that didn't make it lose their asset again
+  const saved = new Map();
+  const saveErrors = new Map();
+  if (docs.length) {
+    try {
+      // invalid documents are left out of the result rather than thrown
+      const inserted = await Media.insertMany(docs.map((d) => d.doc), { ordered: false });
+      const insertedById = new Map(inserted.map((item) => [String(item._id), item]));
+      for (const { index, doc } of docs) {
+        if (insertedById.has(String(doc._id))) saved.set(index, insertedById.get(String(doc._id)));
+        else saveErrors.set(index, 'invalid media document');
+      }
+    } catch (err) {
+      console.error('Saving uploaded media failed:', err.message);
+      const writeErrors = new Map((err.writeErrors || []).map((e) => [e.index, e.errmsg || e.message]));
+      // ask the database what actually got written rather than trusting the error alone
+      const written = await Media.find({ _id: { $in: docs.map((d) => d.doc._id) } })
+        .catch(() => err.insertedDocs || []);
+      const writtenById = new Map(written.map((item) => [String(item._id), item]));
+      docs.forEach(({ index, doc }, k) => {
+        const item = writtenById.get(String(doc._id));
+        if (item) saved.set(index, item);
+        else saveErrors.set(index, writeErrors.get(k) || err.message);
+      });
+    }
+  }
+
+  const results = await Promise.all(entries.map(async (entry, i) => {
+    const base = {
+      file: entry.file.originalname,
+      type: entry.type,
+      ...(entry.duplicateOf ? { duplicateOf: entry.duplicateOf } : {}),
+    };
+    if (stored[i].error) return { ...base, status: 'failed', error: stored[i].error };
+    if (saved.has(i)) return { ...base, status: 'uploaded', item: saved.get(i) };
+
+    await destroyQuietly(stored[i].uploaded, entry.type);
+    return { ...base, status: 'failed', error: `Could not save: ${saveErrors.get(i)}` };
+  }));
+
+  return results;
+}
+
+module.exports = { CONCURRENCY, mapLimit, uploadFiles };
@@ -0,0 +1,57 @@
+// services/queryUtils.js
+// Helpers shared by the services that turn request query params into Mongo
+// queries: regex escaping, date parsing and opaque keyset-pagination cursors.
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// null when empty, undefined when not a valid date
+function parseDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? undefined : d;
+}
+
+/**
+ * A { $gte, $lt } condition from `from`/`to` params (ISO dates; a date-only `to`
+ * includes that whole day). Returns { range } (null when neither is set) or { error }.
+ */
+function parseDateRange(from, to) {
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate === undefined) return { error: 'Invalid from date' };
+  if (toDate === undefined) return { error: 'Invalid to date' };
+  if (!fromDate && !toDate) return { range: null };
+
+  const range = {};
+  if (fromDate) range.$gte = fromDate;
+  if (toDate) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+    else toDate.setTime(toDate.getTime() + 1);
+    range.$lt = toDate;
+  }
+  return { range };
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// the payload of a cursor from encodeCursor; null if it is malformed
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  escapeRegex,
+  parseDate,
+  parseDateRange,
+  encodeCursor,
+  decodeCursor,
+};
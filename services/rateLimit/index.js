@@ -0,0 +1,93 @@
+// services/rateLimit/index.js
+// Sliding-window rate limiting.
+//
+// Each key is counted in fixed windows; the sliding count is the current
+// window's hits plus the previous window's hits weighted by how much of it still
+// overlaps the sliding window. Stores only need incr/get/resetPrefix, so the
+// same algorithm works in memory and in MongoDB.
+//
+// Config: RATE_LIMIT_STORE ('memory' by default, or 'mongo'),
+//         RATE_LIMIT_DISABLED=true turns every limiter into a no-op.
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+const storeName = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase().trim();
+if (!stores[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}" (expected one of: ${Object.keys(stores).join(', ')})`);
+}
+const defaultStore = stores[storeName]();
+
+/**
+ * Count one hit for `key` and report whether it is within `max` hits per `windowMs`.
+ * Returns { allowed, count, retryAfterMs }.
+ */
+async function hit(store, key, windowMs, max) {
+  const now = Date.now();
+  const bucket = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+
+  const [current, previous] = await Promise.all([
+    store.incr(`${key}:${bucket}`, windowMs * 2),
+    store.get(`${key}:${bucket - 1}`),
+  ]);
+  const count = previous * (1 - elapsed) + current;
+  if (count <= max) return { allowed: true, count, retryAfterMs: 0 };
+
+  let retryAfterMs;
+  if (current > max) {
+    // wait for the next window, until this window's weight has decayed enough
+    retryAfterMs = (1 - elapsed) * windowMs + (1 - max / current) * windowMs;
+  } else {
+    // the previous window's weight has to decay below what is left of max
+    retryAfterMs = (1 - (max - current) / previous - elapsed) * windowMs;
+  }
+  return { allowed: false, count, retryAfterMs: Math.max(retryAfterMs, 1000) };
+}
+
+function defaultHandler(req, res, retryAfterSec) {
+  return res.status(429).json({ message: 'Too many requests, please try again later', retryAfter: retryAfterSec });
+}
+
+/**
+ * Build an express middleware limiting requests to `max` per `windowMs`.
+ * Options:
+ * - name: namespace for the counters (required, must be unique per limiter)
+ * - key(req): what to count by; defaults to the client IP. Return null/undefined to skip.
+ * - handler(req, res, retryAfterSec): response sent when limited
+ * - store: counter store, defaults to the configured one
+ */
+function rateLimit({ name, windowMs, max, key = (req) => req.ip, handler = defaultHandler, store = defaultStore }) {
+  if (!name) throw new Error('rateLimit: name is required');
+
+  return async function (req, res, next) {
+    if (process.env.RATE_LIMIT_DISABLED === 'true') return next();
+
+    try {
+      const k = key(req);
+      if (k === null || k === undefined || k === '') return next();
+
+      const result = await hit(store, `rl:${name}:${k}`, windowMs, max);
+      if (result.allowed) return next();
+
+      const retryAfterSec = Math.ceil(result.retryAfterMs / 1000);
+      res.set('Retry-After', String(retryAfterSec));
+      return handler(req, res, retryAfterSec);
+    } catch (err) {
+      // never lock everyone out because the counter store is unavailable
+      console.error(`Rate limiter "${name}" error:`, err.message);
+      return next();
+    }
+  };
+}
+
+// forget every counter of one limiter for one key (e.g. after an admin clears a lockout)
+async function resetKey(name, k, store = defaultStore) {
+  await store.resetPrefix(`rl:${name}:${k}:`);
+}
+
+module.exports = { rateLimit, resetKey };
@@ -0,0 +1,44 @@
+// services/rateLimit/memoryStore.js
+// Per-process counter store. Fine for a single instance; use the mongo store
+// when running several instances behind a load balancer.
+
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const counters = new Map(); // key -> { count, expiresAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async incr(key, ttlMs) {
+      const now = Date.now();
+      const entry = counters.get(key);
+      if (!entry || entry.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: now + ttlMs });
+        return 1;
+      }
+      entry.count += 1;
+      return entry.count;
+    },
+
+    async get(key) {
+      const entry = counters.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return 0;
+      return entry.count;
+    },
+
+    async resetPrefix(prefix) {
+      for (const key of counters.keys()) {
+        if (key.startsWith(prefix)) counters.delete(key);
+      }
+    },
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,40 @@
+// services/rateLimit/mongoStore.js
+// Counter store shared by every instance through MongoDB. Expired buckets are
+// removed by a TTL index (see models/RateLimitBucket.js).
+const RateLimitBucket = require('../../models/RateLimitBucket');
+const { escapeRegex } = require('../queryUtils');
+
+function createMongoStore() {
+  return {
+    name: 'mongo',
+
+    async incr(key, ttlMs) {
+      const update = () => RateLimitBucket.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true, new: true }
+      ).lean();
+      let bucket;
+      try {
+        bucket = await update();
+      } catch (err) {
+        // two concurrent upserts of a new key: one insert wins, the other hits the
+        // unique index - retrying finds the inserted bucket and counts this hit too
+        if (err.code !== 11000) throw err;
+        bucket = await update();
+      }
+      return bucket.count;
+    },
+
+    async get(key) {
+      const bucket = await RateLimitBucket.findOne({ key }).lean();
+      return bucket ? bucket.count : 0;
+    },
+
+    async resetPrefix(prefix) {
+      await RateLimitBucket.deleteMany({ key: { $regex: `^${escapeRegex(prefix)}` } });
+    },
+  };
+}
+
+module.exports = createMongoStore;
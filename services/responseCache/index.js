@@ -0,0 +1,32 @@
+// services/responseCache/index.js
+// Cache of public JSON responses. A store exposes:
+//   get(key) -> value | null,  set(key, value, ttlMs),  clear()
+//
+// Config:
+//   RESPONSE_CACHE_STORE        'memory' (default) or 'none'
+//   RESPONSE_CACHE_TTL          seconds an entry lives (default: 60); also bounds how late
+//                               publishAt/unpublishAt schedules show up publicly
+//   RESPONSE_CACHE_MAX_ENTRIES  memory store size (default: 500)
+const createMemoryStore = require('./memoryStore');
+
+const stores = {
+  memory: () => createMemoryStore({ maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500', 10) }),
+  none: () => ({ name: 'none', get: async () => null, set: async () => {}, clear: async () => {} }),
+};
+
+const storeName = (process.env.RESPONSE_CACHE_STORE || 'memory').toLowerCase().trim();
+if (!stores[storeName]) {
+  throw new Error(`Unknown RESPONSE_CACHE_STORE "${storeName}" (expected one of: ${Object.keys(stores).join(', ')})`);
+}
+
+let store = stores[storeName]();
+const ttlMs = parseInt(process.env.RESPONSE_CACHE_TTL || '60', 10) * 1000;
+
+module.exports = {
+  get: (key) => store.get(key),
+  set: (key, value) => store.set(key, value, ttlMs),
+  // drop every cached response (called whenever public content changes)
+  invalidate: () => store.clear(),
+  // swap in another store implementation (e.g. a shared one)
+  useStore: (custom) => { store = custom; },
+};
@@ -0,0 +1,35 @@
+// services/responseCache/memoryStore.js
+// Bounded in-process store; least recently used entries are evicted first.
+
+function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      // re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+module.exports = createMemoryStore;
@@ -0,0 +1,136 @@
+// services/search.js
+// Media search across folders: free text over labels, titles, tags and folder
+// names, plus tag, type and date filters. Admins search everything that isn't
+// in the trash; the public only what sits in publicly listed folders.
+const mongoose = require('mongoose');
+const Folder = require('../models/folder');
+const Media = require('../models/Media');
+const { ensureMigrated, summarize } = require('./media');
+const { normalizeTag, parseTags } = require('./tags');
+const { escapeRegex, parseDate, parseDateRange, encodeCursor: encodePayload, decodeCursor } = require('./queryUtils');
+
+const TYPES = ['image', 'video', 'all'];
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+const MAX_TERMS = 10;
+const MAX_FOLDERS = 20;
+
+function encodeCursor(item) {
+  return encodePayload({ c: item.createdAt.toISOString(), id: String(item._id) });
+}
+
+// filter for the items after the cursor in { createdAt: -1, _id: -1 } order; null if malformed
+function afterCursor(cursor) {
+  const payload = decodeCursor(cursor);
+  const createdAt = payload && parseDate(payload.c);
+  if (!createdAt || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+  const id = new mongoose.Types.ObjectId(payload.id);
+  return { $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }] };
+}
+
+/**
+ * Parse search params:
+ *   q         words that must all appear in a label, title, tag or folder name
+ *   tags      comma-separated tags that must all be on the item or its folder
+ *   type      image, video or all (default)
+ *   from, to  createdAt range (ISO dates; a date-only `to` includes that whole day)
+ *   limit     page size (default 24, max 100)
+ *   cursor    nextCursor from the previous page
+ * Returns { options } or { error }.
+ */
+function parseSearchQuery(query) {
+  const type = query.type || 'all';
+  if (!TYPES.includes(type)) return { error: `Invalid type. Expected one of: ${TYPES.join(', ')}` };
+
+  if (query.q !== undefined && typeof query.q !== 'string') return { error: 'Invalid q' };
+  const terms = [...new Set(normalizeTag(query.q || '').split(' ').filter(Boolean))];
+  if (terms.length > MAX_TERMS) return { error: `At most ${MAX_TERMS} search words` };
+
+  const { tags, error } = parseTags(query.tags || '');
+  if (error) return { error };
+
+  const { range: createdAt, error: dateError } = parseDateRange(query.from, query.to);
+  if (dateError) return { error: dateError };
+
+  const limit = Math.min(Math.max(parseInt(query.limit || DEFAULT_LIMIT, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { options: { terms, tags, type, createdAt, limit, cursor: query.cursor } };
+}
+
+function folderMatches(folder, term) {
+  return folder.name.normalize('NFKC').toLowerCase().includes(term)
+    || (folder.tags || []).some((tag) => tag.includes(term));
+}
+
+/**
+ * Search media. `publicOnly` limits results to publicly listed folders.
+ * Returns { items, folders, total, nextCursor } or { error }: items are media
+ * (newest first) with their folder { _id, name, slug }; folders are summaries of
+ * folders whose name or tags match (first page only).
+ */
+async function search({ terms, tags, type, createdAt, limit, cursor }, { publicOnly = false } = {}) {
+  const query = Folder.find().notDeleted().select('name slug parent tags');
+  if (publicOnly) query.publiclyListed();
+  const folders = Folder.reachable(await query);
+  const folderIds = folders.map((f) => f._id);
+  await ensureMigrated(folderIds);
+
+  const clauses = [];
+  for (const term of terms) {
+    const pattern = new RegExp(escapeRegex(term), 'i');
+    clauses.push({
+      $or: [
+        { label: pattern },
+        { title: pattern },
+        { tags: pattern },
+        { folder: { $in: folders.filter((f) => folderMatches(f, term)).map((f) => f._id) } },
+      ],
+    });
+  }
+  for (const tag of tags) {
+    const tagged = folders.filter((f) => (f.tags || []).includes(tag)).map((f) => f._id);
+    clauses.push({ $or: [{ tags: tag }, { folder: { $in: tagged } }] });
+  }
+
+  const base = { folder: { $in: folderIds }, deletedAt: null };
+  if (type !== 'all') base.type = type;
+  if (createdAt) base.createdAt = createdAt;
+  if (clauses.length) base.$and = clauses;
+
+  const filter = { ...base };
+  if (cursor) {
+    const after = afterCursor(cursor);
+    if (!after) return { error: 'Invalid cursor' };
+    filter.$and = [...(base.$and || []), after];
+  }
+
+  const [docs, total] = await Promise.all([
+    Media.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1),
+    Media.countDocuments(base),
+  ]);
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+
+  const byId = new Map(folders.map((f) => [String(f._id), f]));
+  const items = page.map((doc) => {
+    const folder = byId.get(String(doc.folder));
+    return { ...doc.toLegacyJSON(), type: doc.type, folder: { _id: folder._id, name: folder.name, slug: folder.slug } };
+  });
+
+  // folders themselves match on name and tags; dates and type only apply to media
+  let matchingFolders = [];
+  if (!cursor && (terms.length || tags.length)) {
+    const matched = folders
+      .filter((f) => terms.every((term) => folderMatches(f, term)) && tags.every((tag) => (f.tags || []).includes(tag)))
+      .slice(0, MAX_FOLDERS);
+    matchingFolders = await summarize(await Folder.find({ _id: { $in: matched.map((f) => f._id) } }).sort({ name: 1 }));
+  }
+
+  return {
+    items,
+    folders: matchingFolders,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+module.exports = { parseSearchQuery, search };
@@ -0,0 +1,133 @@
+// services/sessions.js
+// Access/refresh token issuing, rotation and revocation.
+//
+// Access tokens are short-lived JWTs carrying the session id (sid = refresh token
+// family) so that revoking a session also rejects its access tokens.
+// Refresh tokens are opaque random strings; only their sha256 is stored.
+//
+// Config: ACCESS_TOKEN_EXPIRES_IN (default 15m), REFRESH_TOKEN_TTL_DAYS (default 30)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// sign an access token; accepts a mongoose doc or plain object with id/_id
+function signAccessToken(admin, sid) {
+  const id = admin._id ? admin._id : admin.id;
+  // tv (token version) lets the server revoke every token issued before e.g. a password reset
+  const payload = { id, email: admin.email, role: admin.role || 'admin', tv: admin.tokenVersion || 0 };
+  if (sid) payload.sid = sid;
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+async function createRefreshToken(adminId, family, req) {
+  const token = crypto.randomBytes(48).toString('hex');
+  const tokenHash = hashToken(token);
+  await RefreshToken.create({
+    admin: adminId,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip: req && req.ip,
+    userAgent: req && req.get ? req.get('user-agent') : undefined,
+  });
+  return { token, tokenHash };
+}
+
+/**
+ * Start a new session for an admin (login).
+ * Returns { token, refreshToken, expiresIn }.
+ */
+async function issueSession(admin, req) {
+  const family = crypto.randomUUID();
+  const { token: refreshToken } = await createRefreshToken(admin._id, family, req);
+  return { token: signAccessToken(admin, family), refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token is
+ * revoked; presenting an already-revoked token is treated as theft and revokes
+ * the whole family. `loadAdmin(id)` resolves the admin (null if deleted).
+ * Throws SessionError on any invalid token.
+ */
+async function rotateSession(refreshToken, loadAdmin, req) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // atomically claim the token so two concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: now } },
+    { new: false }
+  ).exec();
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash }).exec();
+    if (known) {
+      await revokeFamily(known.family);
+      console.warn(`Refresh token reuse detected for admin ${known.admin}; session family ${known.family} revoked`);
+      throw new SessionError('Refresh token reuse detected; session revoked', 'REUSED');
+    }
+    throw new SessionError('Invalid refresh token', 'INVALID');
+  }
+
+  if (current.expiresAt <= now) throw new SessionError('Refresh token expired', 'EXPIRED');
+
+  const admin = await loadAdmin(current.admin);
+  if (!admin) {
+    await revokeFamily(current.family);
+    throw new SessionError('Admin not found', 'INVALID');
+  }
+
+  const next = await createRefreshToken(admin._id, current.family, req);
+  await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: next.tokenHash } }).exec();
+
+  return { token: signAccessToken(admin, current.family), refreshToken: next.token, expiresIn: ACCESS_TOKEN_EXPIRES_IN };
+}
+
+async function revokeFamily(family) {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } }).exec();
+}
+
+// revoke the session a refresh token belongs to; unknown tokens are ignored.
+// Returns the id of the session's admin (null for unknown tokens).
+async function revokeSessionByToken(refreshToken) {
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).exec();
+  if (known) await revokeFamily(known.family);
+  return known ? known.admin : null;
+}
+
+async function revokeAllSessions(adminId) {
+  await RefreshToken.updateMany({ admin: adminId, revokedAt: null }, { $set: { revokedAt: new Date() } }).exec();
+}
+
+// is the session behind an access token still live?
+async function isSessionActive(sid) {
+  const active = await RefreshToken.exists({ family: sid, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return Boolean(active);
+}
+
+module.exports = {
+  SessionError,
+  signAccessToken,
+  issueSession,
+  rotateSession,
+  revokeFamily,
+  revokeSessionByToken,
+  revokeAllSessions,
+  isSessionActive,
+};
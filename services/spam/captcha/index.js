@@ -0,0 +1,23 @@
+// services/spam/captcha/index.js
+// CAPTCHA verification for the public feedback form. Every verifier exposes:
+//   verify(token, remoteIp) -> Promise<{ success, error? }>
+//
+// CAPTCHA_PROVIDER selects it:
+//   none (default)                     CAPTCHA disabled, every submission passes
+//   stub                               local verifier for tests/dev: only the token "pass" succeeds
+//   recaptcha | hcaptcha | turnstile   remote verification using CAPTCHA_SECRET
+
+const drivers = {
+  none: () => ({ name: 'none', enabled: false, verify: async () => ({ success: true }) }),
+  stub: () => require('./stub'),
+  recaptcha: () => require('./siteverify')('recaptcha', 'https://www.google.com/recaptcha/api/siteverify'),
+  hcaptcha: () => require('./siteverify')('hcaptcha', 'https://api.hcaptcha.com/siteverify'),
+  turnstile: () => require('./siteverify')('turnstile', 'https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+};
+
+const driverName = (process.env.CAPTCHA_PROVIDER || 'none').toLowerCase().trim();
+if (!drivers[driverName]) {
+  throw new Error(`Unknown CAPTCHA_PROVIDER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,25 @@
+// services/spam/captcha/siteverify.js
+// reCAPTCHA, hCaptcha and Turnstile share the same "siteverify" protocol:
+// POST secret + response (+ remoteip) as a form, get back { success, error-codes }.
+
+function createSiteverifyVerifier(name, url) {
+  const secret = process.env.CAPTCHA_SECRET;
+  if (!secret) throw new Error(`CAPTCHA_SECRET is required for CAPTCHA_PROVIDER=${name}`);
+
+  async function verify(token, remoteIp) {
+    if (!token) return { success: false, error: 'missing-input-response' };
+
+    const form = new URLSearchParams({ secret, response: token });
+    if (remoteIp) form.set('remoteip', remoteIp);
+
+    const res = await fetch(url, { method: 'POST', body: form, signal: AbortSignal.timeout(5000) });
+    if (!res.ok) throw new Error(`${name} verification failed with HTTP ${res.status}`);
+
+    const data = await res.json();
+    return { success: Boolean(data.success), error: (data['error-codes'] || []).join(',') || undefined };
+  }
+
+  return { name, enabled: true, verify };
+}
+
+module.exports = createSiteverifyVerifier;
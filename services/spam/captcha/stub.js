@@ -0,0 +1,11 @@
+// services/spam/captcha/stub.js
+// Offline verifier: succeeds only for CAPTCHA_STUB_TOKEN (default "pass").
+
+const expected = process.env.CAPTCHA_STUB_TOKEN || 'pass';
+
+async function verify(token) {
+  if (token === expected) return { success: true };
+  return { success: false, error: 'invalid-input-response' };
+}
+
+module.exports = { name: 'stub', enabled: true, verify };
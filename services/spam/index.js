@@ -0,0 +1,117 @@
+// services/spam/index.js
+// Layered spam checks for the public feedback form. Each check that fires adds a
+// reason; any reason flags the submission. Flagged feedback is still stored so
+// moderators can review it.
+//
+// Config:
+//   SPAM_HONEYPOT_FIELD            hidden form field bots tend to fill (default: website)
+//   SPAM_MIN_FILL_SECONDS          minimum time between form-token issue and submit (default: 3)
+//   SPAM_FORM_TOKEN_MAX_AGE_HOURS  form tokens older than this count as missing (default: 24)
+//   SPAM_REQUIRE_FORM_TOKEN        'true' flags submissions without a form token; leave it off
+//                                  until every form sends one (default: false)
+//   SPAM_DUPLICATE_WINDOW_MINUTES  same message from same email/IP within this window (default: 60)
+//   SPAM_MAX_LINKS                 more links than this is suspicious (default: 2)
+//   SPAM_KEYWORDS                  comma-separated, case-insensitive blocked words/phrases
+//   SPAM_FORM_SECRET               HMAC key for form tokens (defaults to JWT_SECRET)
+const crypto = require('crypto');
+const Feedback = require('../../models/Feedback');
+const captcha = require('./captcha');
+
+const HONEYPOT_FIELD = process.env.SPAM_HONEYPOT_FIELD || 'website';
+const MIN_FILL_MS = parseFloat(process.env.SPAM_MIN_FILL_SECONDS || '3') * 1000;
+const FORM_TOKEN_MAX_AGE_MS = parseFloat(process.env.SPAM_FORM_TOKEN_MAX_AGE_HOURS || '24') * 60 * 60 * 1000;
+const REQUIRE_FORM_TOKEN = process.env.SPAM_REQUIRE_FORM_TOKEN === 'true';
+const DUPLICATE_WINDOW_MS = parseFloat(process.env.SPAM_DUPLICATE_WINDOW_MINUTES || '60') * 60 * 1000;
+const MAX_LINKS = parseInt(process.env.SPAM_MAX_LINKS || '2', 10);
+const KEYWORDS = (process.env.SPAM_KEYWORDS || '')
+  .split(',')
+  .map(k => k.trim().toLowerCase())
+  .filter(Boolean);
+
+function formSecret() {
+  return process.env.SPAM_FORM_SECRET || process.env.JWT_SECRET;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', formSecret()).update(value).digest('base64url');
+}
+
+// token the form fetches when it is rendered: "<issuedAtMs>.<hmac>"
+function issueFormToken() {
+  const issuedAt = String(Date.now());
+  return `${issuedAt}.${sign(issuedAt)}`;
+}
+
+// age of a form token in ms, or null if it is missing/forged/expired
+function formTokenAge(token) {
+  if (typeof token !== 'string') return null;
+  const [issuedAt, mac] = token.split('.');
+  if (!issuedAt || !mac || !/^\d+$/.test(issuedAt)) return null;
+
+  const expected = Buffer.from(sign(issuedAt));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  const age = Date.now() - parseInt(issuedAt, 10);
+  if (age < 0 || age > FORM_TOKEN_MAX_AGE_MS) return null;
+  return age;
+}
+
+function hashMessage(message) {
+  const normalized = String(message).toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function countLinks(text) {
+  const matches = String(text).match(/(https?:\/\/|www\.)\S+/gi);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Run every check against a submission.
+ * body: the raw request body; ip: client IP.
+ * Returns { reasons: [...], messageHash }.
+ */
+async function evaluateSubmission(body, ip) {
+  const reasons = [];
+  const { name = '', email = '', message = '' } = body;
+
+  if (body[HONEYPOT_FIELD]) reasons.push('honeypot');
+
+  const age = formTokenAge(body.formToken);
+  if (age === null) {
+    if (REQUIRE_FORM_TOKEN) reasons.push('form-token-missing');
+  }
+  else if (age < MIN_FILL_MS) reasons.push('submitted-too-fast');
+
+  if (countLinks(`${name} ${message}`) > MAX_LINKS) reasons.push('too-many-links');
+
+  const haystack = `${name} ${email} ${message}`.toLowerCase();
+  const keyword = KEYWORDS.find(k => haystack.includes(k));
+  if (keyword) reasons.push(`keyword:${keyword}`);
+
+  if (captcha.enabled) {
+    try {
+      const result = await captcha.verify(body.captchaToken, ip);
+      if (!result.success) reasons.push('captcha-failed');
+    } catch (err) {
+      // provider outage: don't block real people, but let moderators know
+      console.error('CAPTCHA verification error:', err.message);
+      reasons.push('captcha-unverified');
+    }
+  }
+
+  const messageHash = hashMessage(message);
+  const sender = [{ email: String(email).trim() }];
+  if (ip) sender.push({ ip });
+  const duplicate = await Feedback.exists({
+    messageHash,
+    createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_MS) },
+    $or: sender,
+  });
+  if (duplicate) reasons.push('duplicate');
+
+  return { reasons, messageHash };
+}
+
+module.exports = { HONEYPOT_FIELD, issueFormToken, evaluateSubmission };
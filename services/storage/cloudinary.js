@@ -0,0 +1,80 @@
+// services/storage/cloudinary.js
+const cloudinary = require('cloudinary').v2;
+const { Readable } = require('stream');
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+function toResult(uploaded) {
+  return {
+    url: uploaded.secure_url,
+    public_id: uploaded.public_id,
+    metadata: {
+      width: uploaded.width,
+      height: uploaded.height,
+      bytes: uploaded.bytes,
+      format: uploaded.format,
+      duration: uploaded.duration,
+    },
+  };
+}
+
+async function upload(filePath, { folder, resourceType = 'image' } = {}) {
+  const uploaded = await cloudinary.uploader.upload(filePath, {
+    folder,
+    resource_type: resourceType,
+  });
+  return toResult(uploaded);
+}
+
+async function remove(publicId, { resourceType = 'image' } = {}) {
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+}
+
+async function rename(publicId, newPublicId, { resourceType = 'image' } = {}) {
+  const renamed = await cloudinary.uploader.rename(publicId, newPublicId, { resource_type: resourceType });
+  return { url: renamed.secure_url, public_id: renamed.public_id };
+}
+
+// Cloudinary has no server-side copy: upload the existing asset again from its URL
+async function copy(publicId, { folder, resourceType = 'image' } = {}) {
+  const uploaded = await cloudinary.uploader.upload(url(publicId, { resourceType }), {
+    folder,
+    resource_type: resourceType,
+  });
+  return toResult(uploaded);
+}
+
+function url(publicId, { resourceType = 'image' } = {}) {
+  return cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+}
+
+// derivatives are transformations in the URL, generated by Cloudinary on first request
+function derivativeUrl(publicId, { preset, format } = {}) {
+  return cloudinary.url(publicId, {
+    secure: true,
+    resource_type: 'image',
+    transformation: [{ width: preset.width, crop: 'limit', quality: 'auto' }],
+    ...(format ? { format } : {}),
+  });
+}
+
+async function open(publicId, { resourceType = 'image' } = {}) {
+  const response = await fetch(url(publicId, { resourceType }));
+  if (!response.ok) throw new Error(`Could not download ${publicId}: HTTP ${response.status}`);
+  return Readable.fromWeb(response.body);
+}
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  delete: remove,
+  rename,
+  copy,
+  url,
+  derivativeUrl,
+  open,
+};
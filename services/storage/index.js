@@ -0,0 +1,29 @@
+// services/storage/index.js
+// Media storage abstraction used by the upload routes.
+//
+// Every driver exposes the same async interface:
+//   upload(filePath, { folder, resourceType })         -> { url, public_id, metadata }
+//   delete(publicId, { resourceType })                 -> void
+//   rename(publicId, newPublicId, { resourceType })    -> { url, public_id }
+//   copy(publicId, { folder, resourceType })           -> { url, public_id, metadata }
+//   derivativeUrl(publicId, { preset, format, metadata }) -> string | null
+//                                                         (resized image, see config/derivatives.js)
+//   url(publicId, { resourceType })                    -> string
+//   open(publicId, { resourceType })                   -> readable stream of the stored file
+//
+// metadata holds whatever the driver knows about the stored file
+// ({ width, height, bytes, format, duration, derivatives }, all optional).
+// resourceType is 'image' or 'video'. The driver is chosen with STORAGE_DRIVER
+// ('cloudinary' by default, or 'local').
+
+const drivers = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local'),
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase().trim();
+if (!drivers[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+}
+
+module.exports = drivers[driverName]();
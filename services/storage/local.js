@@ -0,0 +1,164 @@
+// services/storage/local.js
+// Stores media on local disk and serves it through a static route (see index.js).
+// Useful for development and offline boxes that have no Cloudinary credentials.
+//
+// Config:
+//   LOCAL_MEDIA_ROOT   directory files are written to (default: ./media)
+//   LOCAL_MEDIA_PATH   URL path the directory is mounted on (default: /media)
+//   PUBLIC_BASE_URL    optional origin prefixed to URLs, e.g. http://localhost:5001
+//
+// public_id is the file's path relative to the media root, including its
+// extension (e.g. "koovappady/Festivals/1712345678901-a1b2c3.jpg").
+//
+// Image derivatives (config/derivatives.js) are rendered with sharp at upload
+// time into _derived/<public_id>/<preset>.<ext> and follow the original through
+// rename, copy and delete.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PRESETS, FORMATS } = require('../../config/derivatives');
+
+const root = path.resolve(process.env.LOCAL_MEDIA_ROOT || 'media');
+const publicPath = '/' + (process.env.LOCAL_MEDIA_PATH || '/media').replace(/^\/+|\/+$/g, '');
+const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// resolve a public_id to an absolute path, refusing anything that escapes the root
+function resolvePath(publicId) {
+  const abs = path.resolve(root, publicId);
+  if (abs !== root && !abs.startsWith(root + path.sep)) {
+    throw new Error(`Invalid public_id: ${publicId}`);
+  }
+  return abs;
+}
+
+function url(publicId) {
+  const encoded = publicId.split('/').map(encodeURIComponent).join('/');
+  return `${baseUrl}${publicPath}/${encoded}`;
+}
+
+async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    // rename fails across devices (e.g. tmp on another mount) -> copy instead
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+const DERIVED_DIR = '_derived';
+// formats sharp can write that a derivative may keep; anything else becomes jpg
+const WRITABLE_EXTS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif'];
+
+function derivedDir(publicId) {
+  return resolvePath(path.posix.join(DERIVED_DIR, publicId));
+}
+
+// derivatives in the original format keep its extension where possible
+function derivedExt(publicId, format) {
+  if (format) return `.${format}`;
+  const ext = path.extname(publicId).toLowerCase();
+  return WRITABLE_EXTS.includes(ext) ? ext : '.jpg';
+}
+
+// width/height of an image plus its derivatives; { derivatives: false } when sharp can't read it
+async function renderDerivatives(filePath, publicId) {
+  try {
+    const { width, height, orientation } = await sharp(filePath).metadata();
+    const dir = derivedDir(publicId);
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const preset of PRESETS) {
+      for (const format of [null, ...FORMATS]) {
+        const ext = derivedExt(publicId, format);
+        await sharp(filePath)
+          .rotate()
+          .resize({ width: preset.width, withoutEnlargement: true })
+          .toFormat(ext === '.jpg' ? 'jpeg' : ext.slice(1))
+          .toFile(path.join(dir, `${preset.name}${ext}`));
+      }
+    }
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const rotated = orientation >= 5;
+    return { width: rotated ? height : width, height: rotated ? width : height, derivatives: true };
+  } catch (err) {
+    console.warn(`Could not render derivatives for ${publicId}:`, err.message);
+    return { derivatives: false };
+  }
+}
+
+async function store(filePath, folder, ext, resourceType) {
+  const fileName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`;
+  const publicId = path.posix.join(folder, fileName);
+
+  // copy rather than move: callers own (and clean up) their source file
+  const dest = resolvePath(publicId);
+  await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+  await fs.promises.copyFile(filePath, dest);
+  const { size } = await fs.promises.stat(dest);
+
+  const metadata = { bytes: size, format: ext.slice(1) || undefined };
+  if (resourceType === 'image') Object.assign(metadata, await renderDerivatives(dest, publicId));
+  return { url: url(publicId), public_id: publicId, metadata };
+}
+
+async function upload(filePath, { folder = '', originalName, resourceType = 'image' } = {}) {
+  return store(filePath, folder, path.extname(originalName || filePath).toLowerCase(), resourceType);
+}
+
+async function copy(publicId, { folder = '', resourceType = 'image' } = {}) {
+  return store(resolvePath(publicId), folder, path.extname(publicId).toLowerCase(), resourceType);
+}
+
+async function remove(publicId) {
+  try {
+    await fs.promises.unlink(resolvePath(publicId));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  await fs.promises.rm(derivedDir(publicId), { recursive: true, force: true });
+}
+
+async function rename(publicId, newPublicId) {
+  // keep the original extension when the new id doesn't carry one
+  let target = newPublicId;
+  if (!path.extname(target)) target += path.extname(publicId);
+
+  // like Cloudinary, refuse to overwrite an existing asset
+  const dest = resolvePath(target);
+  if (fs.existsSync(dest)) throw new Error(`An asset named ${target} already exists`);
+
+  await moveFile(resolvePath(publicId), dest);
+  if (fs.existsSync(derivedDir(publicId))) {
+    await moveFile(derivedDir(publicId), derivedDir(target)).catch((err) => {
+      console.warn(`Could not move derivatives of ${publicId}:`, err.message);
+    });
+  }
+  return { url: url(target), public_id: target };
+}
+
+// URL of a derivative rendered at upload time (null when the image has none)
+function derivativeUrl(publicId, { preset, format, metadata = {} } = {}) {
+  if (!metadata.derivatives) return null;
+  const ext = derivedExt(publicId, format);
+  return url(path.posix.join(DERIVED_DIR, publicId, `${preset.name}${ext}`));
+}
+
+async function open(publicId) {
+  return fs.createReadStream(resolvePath(publicId));
+}
+
+module.exports = {
+  name: 'local',
+  root,
+  publicPath,
+  upload,
+  delete: remove,
+  rename,
+  copy,
+  url,
+  derivativeUrl,
+  open,
+};
@@ -0,0 +1,93 @@
+// services/tags.js
+// Tags on media items and folders: normalisation, listing and rename/merge.
+// Tags are stored normalised (NFKC, lower case, single spaces), so "Temple  Chariot"
+// and "temple chariot" are the same tag.
+const Media = require('../models/Media');
+const Folder = require('../models/folder');
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+function normalizeTag(tag) {
+  return String(tag).normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Tags from a request: an array or a comma-separated string (null/'' clears them).
+ * Returns { tags } (normalised, de-duplicated) or { error }.
+ */
+function parseTags(input) {
+  if (input === null || input === '') return { tags: [] };
+  const raw = typeof input === 'string' ? input.split(',') : input;
+  if (!Array.isArray(raw) || raw.some((t) => typeof t !== 'string')) return { error: 'tags must be an array of strings' };
+
+  const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))];
+  if (tags.some((t) => t.includes(','))) return { error: 'Tags cannot contain commas' };
+  const tooLong = tags.find((t) => t.length > MAX_TAG_LENGTH);
+  if (tooLong) return { error: `Tag too long (max ${MAX_TAG_LENGTH} characters): ${tooLong}` };
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+  return { tags };
+}
+
+async function countTags(Model, match) {
+  return Model.aggregate([
+    { $match: { ...match, tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+  ]);
+}
+
+/**
+ * Every tag in use on active media and live folders, most used first.
+ * `q` keeps tags starting with it. Returns [{ tag, media, folders }].
+ */
+async function listTags({ q } = {}) {
+  const [mediaCounts, folderCounts] = await Promise.all([
+    countTags(Media, { deletedAt: null }),
+    countTags(Folder, { deletedAt: null }),
+  ]);
+
+  const tags = new Map();
+  const entry = (tag) => {
+    if (!tags.has(tag)) tags.set(tag, { tag, media: 0, folders: 0 });
+    return tags.get(tag);
+  };
+  for (const { _id, count } of mediaCounts) entry(_id).media = count;
+  for (const { _id, count } of folderCounts) entry(_id).folders = count;
+
+  const prefix = q ? normalizeTag(q) : '';
+  return [...tags.values()]
+    .filter((t) => t.tag.startsWith(prefix))
+    .sort((a, b) => (b.media + b.folders) - (a.media + a.folders) || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Replace every tag in `sources` with `target` on media and folders (trashed ones
+ * included, so restoring them doesn't bring old tags back). Renaming is merging
+ * one source. Returns { media, folders } - how many of each were changed.
+ */
+async function mergeTags(sources, target) {
+  const from = sources.filter((t) => t !== target);
+  const update = [{
+    $set: {
+      tags: {
+        $setUnion: [{ $filter: { input: '$tags', cond: { $not: [{ $in: ['$$this', from] }] } } }, [target]],
+      },
+    },
+  }];
+
+  const [media, folders] = await Promise.all([
+    Media.updateMany({ tags: { $in: from } }, update),
+    Folder.updateMany({ tags: { $in: from } }, update),
+  ]);
+  return { media: media.modifiedCount, folders: folders.modifiedCount };
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  parseTags,
+  listTags,
+  mergeTags,
+};
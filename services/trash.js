@@ -0,0 +1,80 @@
+// services/trash.js
+// Permanent removal of trashed folders/media, including their stored assets.
+const storage = require('./storage');
+const Media = require('../models/Media');
+const { ensureMigrated } = require('./media');
+
+// destroy the stored asset of every given Media item, then its document; returns { destroyed, failed }
+async function destroyAssets(items) {
+  const destroyed = [];
+  const failed = [];
+
+  for (const item of items) {
+    if (!item.public_id) {
+      destroyed.push(item);
+      continue;
+    }
+    try {
+      await storage.delete(item.public_id, { resourceType: item.type });
+      destroyed.push(item);
+    } catch (err) {
+      console.error(`Failed to destroy ${item.type} ${item.public_id}:`, err.message);
+      failed.push({ public_id: item.public_id, resourceType: item.type, error: err.message });
+    }
+  }
+
+  if (destroyed.length) await Media.deleteMany({ _id: { $in: destroyed.map((m) => m._id) } });
+  return { destroyed, failed };
+}
+
+/**
+ * Purge a folder and every folder below it: destroys every image and video
+ * (trashed or not) and then the folder documents. If some assets could not be
+ * destroyed the affected folders stay behind holding only those items, so the
+ * purge can be retried.
+ */
+async function purgeFolder(folder) {
+  const failed = [];
+
+  // deepest first so a parent is only removed once its subfolders are gone
+  const Folder = folder.constructor;
+  const ids = await folder.descendantIds();
+  const byId = new Map((await Folder.find({ _id: { $in: ids } })).map((f) => [String(f._id), f]));
+  for (const id of ids.reverse()) {
+    const child = byId.get(String(id));
+    if (!child) continue;
+    const result = await purgeSingleFolder(child);
+    failed.push(...result.failed.map((f) => ({ folderId: child._id, ...f })));
+  }
+
+  // if a subfolder is still there, keep this folder too so nothing is left orphaned
+  const result = await purgeSingleFolder(folder, { keepDocument: failed.length > 0 });
+  failed.push(...result.failed);
+  return { purged: result.purged, failed };
+}
+
+async function purgeSingleFolder(folder, { keepDocument = false } = {}) {
+  await ensureMigrated([folder._id]);
+  const { failed } = await destroyAssets(await Media.find({ folder: folder._id }));
+
+  if (failed.length === 0 && !keepDocument) {
+    await folder.deleteOne();
+    return { purged: true, failed };
+  }
+  return { purged: false, failed };
+}
+
+/**
+ * Purge the trashed media of a folder. Pass publicIds to limit the purge to
+ * those items, otherwise every trashed image/video in the folder is purged.
+ */
+async function purgeMedia(folder, publicIds) {
+  await ensureMigrated([folder._id]);
+  const filter = { folder: folder._id, deletedAt: { $ne: null } };
+  if (publicIds) filter.public_id = { $in: publicIds };
+
+  const { destroyed, failed } = await destroyAssets(await Media.find(filter));
+  return { purged: destroyed.length, failed };
+}
+
+module.exports = { purgeFolder, purgeMedia };
@@ -0,0 +1,287 @@
+// services/uploadQueue.js
+// Background upload jobs. A request drops its files into a job directory and a
+// MongoDB UploadJob document, gets the job id back right away, and an in-process
+// worker uploads the files (through services/mediaUpload.js) afterwards.
+// Progress is published on `events` (one channel per job id) for the SSE route.
+//
+// Jobs are claimed with an atomic update, so several app instances can share the
+// queue; the worker refreshes its lock while it works and a job whose worker died
+// (lock not refreshed) is taken over. Any instance may pick up any job, so with
+// more than one instance UPLOAD_JOB_DIR must be storage they all share; an item
+// whose file isn't there fails instead of being uploaded.
+//
+// Config:
+//   UPLOAD_JOB_DIR              where queued files wait (default: uploads/jobs)
+//   UPLOAD_JOB_POLL_SECONDS     how often idle workers look for jobs (default: 5)
+//   UPLOAD_JOB_STALE_MINUTES    lock age after which another worker takes over (default: 10)
+//   UPLOAD_JOB_RETENTION_HOURS  how long finished jobs (and failed files) are kept (default: 72)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const UploadJob = require('../models/UploadJob');
+const Folder = require('../models/folder');
+const responseCache = require('./responseCache');
+const { ensureMigrated, nextPosition } = require('./media');
+const { CONCURRENCY, mapLimit, uploadFiles } = require('./mediaUpload');
+
+const JOB_DIR = path.resolve(process.env.UPLOAD_JOB_DIR || 'uploads/jobs');
+const POLL_MS = (parseFloat(process.env.UPLOAD_JOB_POLL_SECONDS) || 5) * 1000;
+const STALE_MS = (parseFloat(process.env.UPLOAD_JOB_STALE_MINUTES) || 10) * 60 * 1000;
+const RETENTION_MS = (parseFloat(process.env.UPLOAD_JOB_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const FINISHED = ['completed', 'failed'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+// emits (jobId) -> { event: 'job' | 'item' | 'done', data }
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function itemJSON(item) {
+  return {
+    _id: item._id,
+    file: item.file,
+    type: item.type,
+    status: item.status,
+    attempts: item.attempts,
+    ...(item.error ? { error: item.error } : {}),
+    ...(item.media ? { media: item.media } : {}),
+  };
+}
+
+function jobJSON(job) {
+  const summary = { total: job.items.length, queued: 0, uploading: 0, uploaded: 0, failed: 0 };
+  for (const item of job.items) summary[item.status]++;
+  return {
+    id: job._id,
+    folderId: job.folder,
+    status: job.status,
+    summary,
+    items: job.items.map(itemJSON),
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+function publish(jobId, event, data) {
+  events.emit(String(jobId), { event, data });
+}
+
+async function moveFile(from, to) {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+}
+
+async function removeQuietly(target) {
+  if (!target) return;
+  await fs.promises.rm(target, { recursive: true, force: true })
+    .catch((err) => console.warn('Failed to remove upload job file:', target, err.message));
+}
+
+/**
+ * Queue validated files for `folder`. entries: [{ file: { path, originalname }, type, label?, title?, sha256? }]
+ * (the files are moved out of multer's temp dir). Positions are reserved now so
+ * the items keep the request order however the uploads finish.
+ */
+async function enqueue(folder, entries, createdBy) {
+  const job = new UploadJob({ folder: folder._id, createdBy });
+  const dir = path.join(JOB_DIR, String(job._id));
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  try {
+    await ensureMigrated([folder._id]);
+    const next = { image: await nextPosition(folder._id, 'image'), video: await nextPosition(folder._id, 'video') };
+
+    for (const [i, entry] of entries.entries()) {
+      const tempPath = path.join(dir, `${i}${path.extname(entry.file.originalname).toLowerCase()}`);
+      await moveFile(entry.file.path, tempPath);
+      job.items.push({
+        file: entry.file.originalname,
+        type: entry.type,
+        ...(entry.type === 'image' && entry.label !== undefined ? { label: entry.label } : {}),
+        ...(entry.type === 'video' && entry.title !== undefined ? { title: entry.title } : {}),
+        position: next[entry.type]++,
+        tempPath,
+        sha256: entry.sha256,
+      });
+    }
+    await job.save();
+  } catch (err) {
+    await removeQuietly(dir);
+    throw err;
+  }
+
+  kick();
+  return job;
+}
+
+// put a finished job's failed items back in the queue; returns the job or null if nothing to retry
+async function retry(jobId) {
+  const job = await UploadJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: FINISHED }, items: { $elemMatch: { status: 'failed', tempPath: { $ne: null } } } },
+    {
+      $set: { status: 'queued', finishedAt: null, 'items.$[f].status': 'queued' },
+      $unset: { 'items.$[f].error': 1 },
+    },
+    { new: true, arrayFilters: [{ 'f.status': 'failed', 'f.tempPath': { $ne: null } }] }
+  );
+  if (!job) return null;
+
+  publish(job._id, 'job', jobJSON(job));
+  kick();
+  return job;
+}
+
+// ---------------------------------------------------------------------------
+// worker
+
+async function claimNext() {
+  const now = new Date();
+  return UploadJob.findOneAndUpdate(
+    { $or: [{ status: 'queued' }, { status: 'running', lockedAt: { $lt: new Date(now - STALE_MS) } }] },
+    { $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+// persist changes to one item (and refresh the lock), mirroring them on the in-memory job
+async function updateItem(job, item, changes, unset = []) {
+  Object.assign(item, changes);
+  for (const field of unset) item[field] = undefined;
+
+  const $set = { lockedAt: new Date() };
+  for (const [key, value] of Object.entries(changes)) $set[`items.$.${key}`] = value;
+  const update = { $set };
+  if (unset.length) update.$unset = Object.fromEntries(unset.map((field) => [`items.$.${field}`, 1]));
+
+  await UploadJob.updateOne({ _id: job._id, 'items._id': item._id, lockedBy: WORKER_ID }, update);
+}
+
+async function processItem(job, folder, item) {
+  const missing = await fs.promises.access(item.tempPath).then(() => false, () => true);
+  if (missing) {
+    // queued on another instance whose UPLOAD_JOB_DIR isn't shared, or cleaned up already
+    await updateItem(job, item, { status: 'failed', error: 'Queued file not found', tempPath: null });
+    publish(job._id, 'item', itemJSON(item));
+    return;
+  }
+
+  await updateItem(job, item, { status: 'uploading', attempts: item.attempts + 1 }, ['error']);
+  publish(job._id, 'item', itemJSON(item));
+
+  const [result] = await uploadFiles(folder, [{
+    file: { path: item.tempPath, originalname: item.file },
+    type: item.type,
+    label: item.label,
+    title: item.title,
+    position: item.position,
+    sha256: item.sha256,
+  }], { concurrency: 1 });
+
+  if (result.status === 'uploaded') {
+    await removeQuietly(item.tempPath);
+    await updateItem(job, item, { status: 'uploaded', media: result.item._id, tempPath: null });
+    // the upload happened after the request that queued it, so clear cached public pages here
+    responseCache.invalidate().catch((err) => console.error('Response cache invalidate error:', err.message));
+    publish(job._id, 'item', { ...itemJSON(item), item: result.item.toLegacyJSON() });
+  } else {
+    await updateItem(job, item, { status: 'failed', error: result.error });
+    publish(job._id, 'item', itemJSON(item));
+  }
+}
+
+// keep the lock fresh while a long upload runs, so no other worker takes the job over
+function heartbeat(job) {
+  return setInterval(() => {
+    UploadJob.updateOne({ _id: job._id, lockedBy: WORKER_ID }, { $set: { lockedAt: new Date() } })
+      .catch((err) => console.error(`Upload job ${job._id} heartbeat failed:`, err.message));
+  }, STALE_MS / 3).unref();
+}
+
+async function processJob(job) {
+  publish(job._id, 'job', jobJSON(job));
+  // 'uploading' items were interrupted by a crash of the previous worker
+  const pending = job.items.filter((item) => item.status === 'queued' || item.status === 'uploading');
+
+  const timer = heartbeat(job);
+  try {
+    const folder = await Folder.findById(job.folder).notDeleted();
+    if (!folder) {
+      for (const item of pending) await updateItem(job, item, { status: 'failed', error: 'Folder not found' });
+    } else {
+      await mapLimit(pending, CONCURRENCY, async (item) => {
+        try {
+          await processItem(job, folder, item);
+        } catch (err) {
+          console.error(`Upload job ${job._id} item ${item.file} failed:`, err.message);
+          await updateItem(job, item, { status: 'failed', error: err.message }).catch(() => {});
+          publish(job._id, 'item', itemJSON(item));
+        }
+      });
+    }
+  } finally {
+    clearInterval(timer);
+  }
+
+  const status = job.items.every((item) => item.status === 'uploaded') ? 'completed' : 'failed';
+  const finished = await UploadJob.findOneAndUpdate(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: { status, finishedAt: new Date(), lockedBy: null, lockedAt: null } },
+    { new: true }
+  );
+  if (finished) publish(job._id, 'done', jobJSON(finished));
+}
+
+// drop finished jobs past retention along with any files they still hold
+async function cleanupFinished(now = new Date()) {
+  const old = await UploadJob.find({ status: { $in: FINISHED }, finishedAt: { $lt: new Date(now - RETENTION_MS) } })
+    .select('_id');
+  for (const job of old) {
+    const { deletedCount } = await UploadJob.deleteOne({ _id: job._id, status: { $in: FINISHED } });
+    if (deletedCount) await removeQuietly(path.join(JOB_DIR, String(job._id)));
+  }
+  return old.length;
+}
+
+let draining = false;
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    let job;
+    while ((job = await claimNext())) await processJob(job);
+    await cleanupFinished();
+  } catch (err) {
+    console.error('Upload queue error:', err.message);
+  } finally {
+    draining = false;
+  }
+}
+
+// look for work now (called after enqueue/retry and by the poll timer)
+function kick() {
+  setImmediate(drain);
+}
+
+// poll for jobs queued by other instances or left behind by a crash; doesn't keep the process alive
+function startWorker() {
+  kick();
+  return setInterval(kick, POLL_MS).unref();
+}
+
+module.exports = {
+  events,
+  jobJSON,
+  enqueue,
+  retry,
+  startWorker,
+  cleanupFinished,
+  FINISHED,
+};
@@ -0,0 +1,251 @@
+// services/uploadSessions.js
+// Resumable uploads: a client opens a session announcing the file size, sends
+// the bytes in chunks (each at an explicit offset, so a broken chunk is simply
+// resent), then finalizes, which hands the assembled file to the storage
+// driver and creates the Media item. Abandoned sessions expire. Files go
+// through the same content checks as regular uploads (services/uploadValidation.js).
+//
+// Config:
+//   UPLOAD_SESSION_DIR              where partial files are kept (default: uploads/sessions)
+//   UPLOAD_SESSION_TTL_HOURS        idle time before a session expires (default: 24)
+//   UPLOAD_CHUNK_MAX_BYTES          largest single chunk (default: 64 MiB)
+//   UPLOAD_SESSION_CLEANUP_MINUTES  how often expired sessions are removed (default: 15)
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const Folder = require('../models/folder');
+const Media = require('../models/Media');
+const storage = require('./storage');
+const { ensureMigrated, nextPosition } = require('./media');
+const validation = require('./uploadValidation');
+const { annotateDuplicates } = require('./duplicates');
+
+const SESSION_DIR = path.resolve(process.env.UPLOAD_SESSION_DIR || 'uploads/sessions');
+const TTL_MS = (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const CHUNK_MAX_BYTES = parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES, 10) || 64 * 1024 * 1024;
+const CLEANUP_INTERVAL_MS = (parseFloat(process.env.UPLOAD_SESSION_CLEANUP_MINUTES) || 15) * 60 * 1000;
+// a chunk write claimed longer ago than this was abandoned (e.g. the server restarted mid-chunk)
+const WRITE_STALE_MS = 60 * 60 * 1000;
+
+class UploadSessionError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.status = status;
+    this.details = details; // extra fields for the error response
+  }
+}
+
+function newExpiry() {
+  return new Date(Date.now() + TTL_MS);
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Failed to remove upload session file:', filePath, err.message);
+  }
+}
+
+/**
+ * Open a session for one file.
+ * fields: { folder, type, fileName, mimeType, size, label, title, createdBy }
+ */
+async function createSession(fields) {
+  if (!Number.isInteger(fields.size) || fields.size <= 0) throw new UploadSessionError('size must be a positive integer');
+  const maxBytes = validation.MAX_BYTES[fields.type];
+  if (fields.size > maxBytes) throw new UploadSessionError(`File too large (max ${maxBytes} bytes for ${fields.type}s)`, 413);
+
+  const session = new UploadSession({ ...fields, tempPath: 'pending', expiresAt: newExpiry() });
+  session.tempPath = path.join(SESSION_DIR, `${session._id}.part`);
+
+  await fs.promises.mkdir(SESSION_DIR, { recursive: true });
+  await fs.promises.writeFile(session.tempPath, '');
+  try {
+    await session.save();
+  } catch (err) {
+    await removeFile(session.tempPath);
+    throw err;
+  }
+  return session;
+}
+
+// write `source` into the file starting at `offset`, at most `limit` bytes; resolves to the bytes stored
+function writeAt(filePath, offset, source, limit) {
+  return new Promise((resolve, reject) => {
+    let received = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > limit) return callback(new UploadSessionError(`Chunk too large (max ${limit} bytes here)`, 413));
+        callback(null, chunk);
+      },
+    });
+    const out = fs.createWriteStream(filePath, { flags: 'r+', start: offset });
+
+    pipeline(source, counter, out, (err) => {
+      // a client that drops mid-chunk keeps whatever reached the disk
+      if (err && (err instanceof UploadSessionError || out.errored)) return reject(out.errored || err);
+      resolve(out.bytesWritten);
+    });
+  });
+}
+
+/**
+ * Store a chunk sent at `offset` (must equal the session's current offset).
+ * The offset is claimed before anything is written, so two requests sending the
+ * same chunk can't write over each other: the second gets a 409.
+ * Returns the updated session.
+ */
+async function appendChunk(session, offset, source, declaredLength) {
+  if (session.status !== 'open') throw new UploadSessionError('Upload is being finalized', 409);
+  if (!Number.isInteger(offset) || offset !== session.offset) {
+    throw new UploadSessionError(`Offset mismatch: upload is at ${session.offset}`, 409);
+  }
+
+  const limit = Math.min(session.size - offset, CHUNK_MAX_BYTES);
+  if (declaredLength > limit) throw new UploadSessionError(`Chunk too large (max ${limit} bytes here)`, 413);
+
+  const now = new Date();
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      offset,
+      status: 'open',
+      $or: [{ writingSince: null }, { writingSince: { $lt: new Date(now - WRITE_STALE_MS) } }],
+    },
+    { $set: { writingSince: now, expiresAt: newExpiry() } },
+    { new: true }
+  );
+  if (!claimed) throw new UploadSessionError('Another chunk is being written to this upload', 409);
+
+  let written;
+  try {
+    written = await writeAt(claimed.tempPath, offset, source, limit);
+  } catch (err) {
+    await UploadSession.updateOne({ _id: claimed._id, writingSince: now }, { $set: { writingSince: null } });
+    throw err;
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: claimed._id, offset, writingSince: now },
+    { $set: { offset: offset + written, writingSince: null, expiresAt: newExpiry() } },
+    { new: true }
+  );
+  if (!updated) throw new UploadSessionError('Upload was changed by another request', 409);
+  return updated;
+}
+
+// drop the session and its partial file
+async function discard(session) {
+  await UploadSession.deleteOne({ _id: session._id });
+  await removeFile(session.tempPath);
+}
+
+/**
+ * Hand the complete file to the storage driver and create the Media item.
+ * On failure the session is reopened so finalizing can be retried.
+ * `duplicates` ({ mode, scope }, see services/duplicates.js) decides what happens when
+ * the file matches existing media: reject throws a 409 (the session stays open, so it can
+ * be finalized again with another mode), skip drops the session without uploading.
+ * Returns { item, duplicateOf? } - item is null when the file was skipped.
+ */
+async function finalize(session, duplicates = { mode: 'allow', scope: 'folder' }) {
+  if (session.offset !== session.size) {
+    throw new UploadSessionError(`Upload incomplete: ${session.offset} of ${session.size} bytes received`, 409);
+  }
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'open', offset: session.size },
+    { $set: { status: 'finalizing' } },
+    { new: true }
+  );
+  if (!claimed) throw new UploadSessionError('Upload is already being finalized', 409);
+
+  const checked = await validation.checkFile(claimed.tempPath, claimed.size, claimed.type);
+  if (checked.reason) {
+    await discard(claimed);
+    throw new UploadSessionError(`File rejected: ${checked.reason}`, checked.status || 400);
+  }
+
+  const entry = { file: { path: claimed.tempPath, originalname: claimed.fileName }, type: claimed.type };
+  let uploaded = null;
+  let item = null;
+  try {
+    const folder = await Folder.findById(claimed.folder).notDeleted();
+    if (!folder) throw new UploadSessionError('Folder not found', 404);
+    await ensureMigrated([folder._id]);
+
+    await annotateDuplicates(folder, [entry], { scope: duplicates.scope });
+    if (entry.duplicateOf && duplicates.mode === 'reject') {
+      throw new UploadSessionError('File is a duplicate of existing media', 409, { duplicateOf: entry.duplicateOf });
+    }
+    if (entry.duplicateOf && duplicates.mode === 'skip') {
+      await discard(claimed).catch((err) => console.error('Failed to remove skipped upload session:', err.message));
+      return { item: null, duplicateOf: entry.duplicateOf };
+    }
+
+    uploaded = await storage.upload(claimed.tempPath, {
+      folder: await folder.storagePath(),
+      resourceType: claimed.type,
+      originalName: claimed.fileName,
+    });
+
+    item = await Media.create({
+      folder: folder._id,
+      type: claimed.type,
+      url: uploaded.url,
+      public_id: uploaded.public_id,
+      ...(claimed.type === 'image' && claimed.label !== undefined ? { label: claimed.label } : {}),
+      ...(claimed.type === 'video' && claimed.title !== undefined ? { title: claimed.title } : {}),
+      position: await nextPosition(folder._id, claimed.type),
+      sha256: entry.sha256,
+      metadata: uploaded.metadata,
+    });
+  } catch (err) {
+    if (uploaded) {
+      await storage.delete(uploaded.public_id, { resourceType: claimed.type })
+        .catch((e) => console.error(`Failed to remove asset ${uploaded.public_id} after failed finalize:`, e.message));
+    }
+    await UploadSession.updateOne({ _id: claimed._id }, { $set: { status: 'open', expiresAt: newExpiry() } });
+    throw err;
+  }
+
+  await discard(claimed).catch((err) => console.error('Failed to remove finished upload session:', err.message));
+  return { item, ...(entry.duplicateOf ? { duplicateOf: entry.duplicateOf } : {}) };
+}
+
+// remove sessions nobody touched within the TTL; returns how many were removed
+async function cleanupExpired(now = new Date()) {
+  const expired = await UploadSession.find({ expiresAt: { $lt: now } });
+  let removed = 0;
+  for (const session of expired) {
+    // skip sessions that got a chunk since we looked
+    const { deletedCount } = await UploadSession.deleteOne({ _id: session._id, expiresAt: { $lt: now } });
+    if (!deletedCount) continue;
+    await removeFile(session.tempPath);
+    removed++;
+  }
+  return removed;
+}
+
+// periodic cleanup for the running server; doesn't keep the process alive
+function startCleanup() {
+  const run = () => cleanupExpired()
+    .then((removed) => removed && console.log(`Removed ${removed} expired upload session(s)`))
+    .catch((err) => console.error('Upload session cleanup failed:', err.message));
+  run();
+  return setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  UploadSessionError,
+  CHUNK_MAX_BYTES,
+  createSession,
+  appendChunk,
+  finalize,
+  discard,
+  cleanupExpired,
+  startCleanup,
+};
@@ -0,0 +1,159 @@
+// services/uploadValidation.js
+// Checks uploaded files by their content rather than the client-supplied
+// mimetype: the first bytes identify the format, which must be on the
+// allow-list for its kind, and each kind has its own size and count limits.
+//
+// Config:
+//   UPLOAD_IMAGE_FORMATS    allowed image formats (default: jpeg,png,gif,webp,avif,heic)
+//   UPLOAD_VIDEO_FORMATS    allowed video formats (default: mp4,mov,webm)
+//   UPLOAD_IMAGE_MAX_BYTES  largest image (default: 20 MiB)
+//   UPLOAD_VIDEO_MAX_BYTES  largest video (default: 2 GiB)
+//   UPLOAD_MAX_IMAGES       images per request (default: 20)
+//   UPLOAD_MAX_VIDEOS       videos per request (default: 10)
+const fs = require('fs');
+
+function list(value, fallback) {
+  return (value || fallback).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+const ALLOWED = {
+  image: list(process.env.UPLOAD_IMAGE_FORMATS, 'jpeg,png,gif,webp,avif,heic'),
+  video: list(process.env.UPLOAD_VIDEO_FORMATS, 'mp4,mov,webm'),
+};
+const MAX_BYTES = {
+  image: parseInt(process.env.UPLOAD_IMAGE_MAX_BYTES, 10) || 20 * 1024 * 1024,
+  video: parseInt(process.env.UPLOAD_VIDEO_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024,
+};
+const MAX_COUNT = {
+  image: parseInt(process.env.UPLOAD_MAX_IMAGES, 10) || 20,
+  video: parseInt(process.env.UPLOAD_MAX_VIDEOS, 10) || 10,
+};
+// multer's per-file cap: nothing bigger than the largest allowed kind is even written to disk
+const MAX_FILE_BYTES = Math.max(MAX_BYTES.image, MAX_BYTES.video);
+
+const HEAD_BYTES = 32;
+
+// ISO base media (ftyp box) major brands; any other brand (M4A audio, unknown
+// HEIF variants, ...) is unrecognised and the file rejected
+const MP4 = { kind: 'video', format: 'mp4' };
+const GP3 = { kind: 'video', format: '3gp' };
+const FTYP_BRANDS = {
+  avif: { kind: 'image', format: 'avif' },
+  avis: { kind: 'image', format: 'avif' },
+  heic: { kind: 'image', format: 'heic' },
+  heix: { kind: 'image', format: 'heic' },
+  mif1: { kind: 'image', format: 'heic' },
+  msf1: { kind: 'image', format: 'heic' },
+  'qt  ': { kind: 'video', format: 'mov' },
+  isom: MP4,
+  iso2: MP4,
+  iso4: MP4,
+  iso5: MP4,
+  iso6: MP4,
+  mp41: MP4,
+  mp42: MP4,
+  avc1: MP4,
+  dash: MP4,
+  'M4V ': MP4,
+  M4VH: MP4,
+  M4VP: MP4,
+  '3gp4': GP3,
+  '3gp5': GP3,
+  '3gp6': GP3,
+  '3g2a': GP3,
+};
+
+/**
+ * Identify a file from its first bytes.
+ * Returns { kind: 'image'|'video', format } or null when unrecognised.
+ */
+function detect(head) {
+  const ascii = (start, end) => head.toString('latin1', start, end);
+
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return { kind: 'image', format: 'jpeg' };
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { kind: 'image', format: 'png' };
+  }
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return { kind: 'image', format: 'gif' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return { kind: 'image', format: 'webp' };
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return { kind: 'video', format: 'avi' };
+  if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) return { kind: 'video', format: 'webm' };
+  if (ascii(4, 8) === 'ftyp') {
+    return FTYP_BRANDS[ascii(8, 12)] || null;
+  }
+  return null;
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check one file on disk. `expectedKind` (image/video) is enforced when given.
+ * Returns { kind, format } or { reason } (and a `status` of 413 for size).
+ */
+async function checkFile(filePath, size, expectedKind) {
+  const detected = detect(await readHead(filePath));
+  if (!detected) return { reason: 'unrecognised file format' };
+
+  const { kind, format } = detected;
+  if (expectedKind && kind !== expectedKind) return { reason: `expected ${expectedKind === 'image' ? 'an image' : 'a video'} but got ${format}` };
+  if (!ALLOWED[kind].includes(format)) return { reason: `${format} files are not allowed (allowed: ${ALLOWED[kind].join(', ')})` };
+  if (size > MAX_BYTES[kind]) return { reason: `${kind} larger than ${MAX_BYTES[kind]} bytes`, status: 413 };
+  return { kind, format };
+}
+
+/**
+ * Classify multer's req.files ({ images, videos, file }) by content. Files in
+ * `images`/`videos` must be of that kind; legacy `file` entries may be either.
+ * Returns { images, videos, rejected } where rejected is [{ field, file, reason, status }]
+ * and the accepted files keep their request order (images field first, then file).
+ */
+async function classifyFiles(files = {}) {
+  const accepted = { image: [], video: [] };
+  const rejected = [];
+  const fieldKinds = { images: 'image', videos: 'video', file: undefined };
+
+  for (const [field, expectedKind] of Object.entries(fieldKinds)) {
+    for (const file of files[field] || []) {
+      const result = await checkFile(file.path, file.size, expectedKind);
+      if (result.reason) {
+        rejected.push({ field, file: file.originalname, reason: result.reason, status: result.status || 400 });
+        continue;
+      }
+      file.format = result.format;
+      accepted[result.kind].push(file);
+    }
+  }
+
+  for (const kind of ['image', 'video']) {
+    for (const file of accepted[kind].slice(MAX_COUNT[kind])) {
+      rejected.push({ field: file.fieldname, file: file.originalname, reason: `more than ${MAX_COUNT[kind]} ${kind}s in one request`, status: 400 });
+    }
+  }
+
+  return { images: accepted.image, videos: accepted.video, rejected };
+}
+
+// 413 when every rejection is about size, 400 otherwise
+function rejectionStatus(rejected) {
+  return rejected.every((r) => r.status === 413) ? 413 : 400;
+}
+
+module.exports = {
+  ALLOWED,
+  MAX_BYTES,
+  MAX_COUNT,
+  MAX_FILE_BYTES,
+  detect,
+  checkFile,
+  classifyFiles,
+  rejectionStatus,
+};